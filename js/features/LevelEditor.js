@@ -0,0 +1,352 @@
+// =============================================
+// AMAZEING - Level Editor
+// =============================================
+
+import { THEMES, STORAGE_KEYS } from '../utils/Constants.js';
+import { Storage } from '../utils/Storage.js';
+import { clamp } from '../utils/Helpers.js';
+import { Solver } from '../game/Solver.js';
+import { DifficultyRater } from '../game/DifficultyRater.js';
+import { LevelValidator } from '../game/LevelValidator.js';
+import { LEVEL_FORMAT_VERSION } from '../game/LevelSchema.js';
+
+const MIN_SIZE = 4;
+const MAX_SIZE = 16;
+
+// Level id used while test-playing, so the game can return to the editor
+export const EDITOR_TEST_ID = 'editor-test';
+
+/**
+ * LevelEditor - Board editor for authoring pack levels
+ * Edits a draft of points and obstacles, checks it with the solver and
+ * exports it (with a generated solution) as pack-format JSON
+ */
+export class LevelEditor {
+    /**
+     * Create editor
+     * @param {HTMLElement} root - Editor modal containing the controls from index.html
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onTestPlay - Called with level data to play
+     */
+    constructor(root, { onTestPlay }) {
+        this.root = root;
+        this.onTestPlay = onTestPlay;
+        this.draft = Storage.get(STORAGE_KEYS.EDITOR_DRAFT) || this._blankDraft();
+        this.tool = 'point';
+        this.renumbered = []; // "row,col" keys in the order the renumber tool clicked them
+
+        this._bindControls();
+    }
+
+    /**
+     * Refresh the controls and grid from the draft
+     */
+    open() {
+        this.root.querySelector('#editor-id').value = this.draft.id;
+        this.root.querySelector('#editor-name').value = this.draft.name;
+        this.root.querySelector('#editor-rows').value = this.draft.rows;
+        this.root.querySelector('#editor-cols').value = this.draft.cols;
+        this.root.querySelector('#editor-theme').value = this.draft.theme;
+        this.root.querySelector('#editor-export').classList.add('hidden');
+        this._setStatus('');
+        this._render();
+    }
+
+    /**
+     * Change the board size, dropping anything that no longer fits
+     * @param {number} rows
+     * @param {number} cols
+     */
+    setSize(rows, cols) {
+        this.draft.rows = clamp(Math.round(rows) || MIN_SIZE, MIN_SIZE, MAX_SIZE);
+        this.draft.cols = clamp(Math.round(cols) || MIN_SIZE, MIN_SIZE, MAX_SIZE);
+
+        const fits = ({ row, col }) => row < this.draft.rows && col < this.draft.cols;
+        this.draft.points = this.draft.points.filter(fits);
+        this.draft.obstacles = this.draft.obstacles.filter(fits);
+        this._renumber(this.draft.points);
+        this._changed();
+    }
+
+    /**
+     * Build level data from the draft
+     * @param {Array} solution - Solution segments to include
+     * @returns {Object}
+     */
+    toLevel(solution = []) {
+        const { id, name, rows, cols, theme } = this.draft;
+        return {
+            id,
+            name,
+            ...(rows === cols ? { size: rows } : { rows, cols }),
+            theme,
+            difficulty: null,
+            points: [...this.draft.points].sort((a, b) => a.number - b.number),
+            obstacles: [...this.draft.obstacles],
+            walls: [],
+            solution
+        };
+    }
+
+    /**
+     * Check the draft and report the result in the status line
+     * @returns {{solvable: boolean, solution: Array}} solution is empty if none was found
+     */
+    check() {
+        const level = this.toLevel();
+        const { errors } = LevelValidator.validate(level, { checkSolvable: false });
+        if (errors.length > 0) {
+            this._setStatus(errors[0], 'error');
+            return { solvable: false, solution: [] };
+        }
+
+        // The check runs on the main thread, so the search gets a small
+        // budget; an aborted search leaves uniqueness unknown, not disproved
+        const result = Solver.solve(level, { maxSolutions: 2, maxNodes: 50000 });
+        const solution = result.count > 0 ? Solver.toSegments(result.solutions[0], level.points) : [];
+
+        if (result.count === 0 && !result.aborted) {
+            this._setStatus('No solution: the points cannot be joined through every cell.', 'error');
+            return { solvable: false, solution };
+        }
+
+        if (result.count === 0) {
+            this._setStatus('Too complex to check. Adding points narrows the search.', 'warning');
+        } else if (result.count > 1) {
+            this._setStatus('Solvable, but with more than one solution. Add points or obstacles to pin it down.', 'warning');
+        } else if (result.aborted) {
+            this._setStatus('Solvable; uniqueness could not be confirmed.', 'ok');
+        } else {
+            this._setStatus('Solvable with exactly one solution.', 'ok');
+        }
+
+        return { solvable: true, solution };
+    }
+
+    /**
+     * Keep the draft so it survives reloads
+     */
+    save() {
+        Storage.set(STORAGE_KEYS.EDITOR_DRAFT, this.draft);
+        this._setStatus('Draft saved.', 'ok');
+    }
+
+    /**
+     * Export the draft as a one-level pack file, shown for copying and downloaded
+     * Boards without a solution are refused
+     */
+    exportPack() {
+        const status = this.check();
+        if (!status.solvable) return;
+
+        const level = this.toLevel(status.solution);
+        if (status.solution.length > 0) {
+            level.difficulty = DifficultyRater.rate(level);
+        }
+
+        const pack = {
+            formatVersion: LEVEL_FORMAT_VERSION,
+            packId: 'custom',
+            packName: 'Custom Levels',
+            levels: [level]
+        };
+        const json = JSON.stringify(pack, null, 4);
+
+        const output = this.root.querySelector('#editor-export');
+        output.value = json;
+        output.classList.remove('hidden');
+        output.select();
+
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.href = url;
+        link.download = `${level.id}.json`;
+        link.click();
+
+        // Some browsers start the download after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Hand the draft to the game if it can be solved
+     */
+    testPlay() {
+        const status = this.check();
+        if (!status.solvable) return;
+
+        this.onTestPlay({ ...this.toLevel(status.solution), id: EDITOR_TEST_ID });
+    }
+
+    // =========================================
+    // Editing
+    // =========================================
+
+    /**
+     * Apply the active tool to a cell
+     * @param {number} row
+     * @param {number} col
+     */
+    _onCellClick(row, col) {
+        const key = `${row},${col}`;
+        const { points, obstacles } = this.draft;
+        const pointIndex = points.findIndex(p => p.row === row && p.col === col);
+        const obstacleIndex = obstacles.findIndex(o => o.row === row && o.col === col);
+
+        if (this.tool === 'renumber') {
+            if (pointIndex === -1 || this.renumbered.includes(key)) return;
+            this.renumbered.push(key);
+
+            // Clicked points take 1, 2, ... in click order; the rest follow in their old order
+            const clicked = this.renumbered.map(k => points.find(p => `${p.row},${p.col}` === k));
+            const rest = points.filter(p => !clicked.includes(p)).sort((a, b) => a.number - b.number);
+            this._renumber([...clicked, ...rest], true);
+        } else if (this.tool === 'point') {
+            if (pointIndex !== -1) {
+                points.splice(pointIndex, 1);
+            } else {
+                if (obstacleIndex !== -1) obstacles.splice(obstacleIndex, 1);
+                points.push({ number: points.length + 1, row, col });
+            }
+            this._renumber(points);
+        } else {
+            if (obstacleIndex !== -1) {
+                obstacles.splice(obstacleIndex, 1);
+            } else {
+                if (pointIndex !== -1) points.splice(pointIndex, 1);
+                obstacles.push({ row, col });
+            }
+            this._renumber(points);
+        }
+
+        this._changed();
+    }
+
+    /**
+     * Number points 1..N
+     * @param {Array} points
+     * @param {boolean} keepOrder - Use the array order instead of the current numbers
+     */
+    _renumber(points, keepOrder = false) {
+        const ordered = keepOrder ? points : [...points].sort((a, b) => a.number - b.number);
+        ordered.forEach((point, i) => { point.number = i + 1; });
+    }
+
+    /**
+     * Clear results that no longer match the board and redraw
+     */
+    _changed() {
+        this.root.querySelector('#editor-export').classList.add('hidden');
+        this._setStatus('');
+        this._render();
+    }
+
+    /**
+     * @returns {Object} Empty 6x6 draft
+     */
+    _blankDraft() {
+        return {
+            id: 'custom-1',
+            name: 'Custom Level',
+            rows: 6,
+            cols: 6,
+            theme: 'star-sky',
+            points: [],
+            obstacles: []
+        };
+    }
+
+    // =========================================
+    // DOM
+    // =========================================
+
+    /**
+     * Wire up the editor controls
+     */
+    _bindControls() {
+        const $ = (selector) => this.root.querySelector(selector);
+
+        const themeSelect = $('#editor-theme');
+        Object.values(THEMES).forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            themeSelect.appendChild(option);
+        });
+
+        $('#editor-id').addEventListener('change', (e) => { this.draft.id = e.target.value.trim() || 'custom-1'; });
+        $('#editor-name').addEventListener('change', (e) => { this.draft.name = e.target.value; });
+        themeSelect.addEventListener('change', (e) => { this.draft.theme = e.target.value; });
+        $('#editor-rows').addEventListener('change', (e) => this.setSize(Number(e.target.value), this.draft.cols));
+        $('#editor-cols').addEventListener('change', (e) => this.setSize(this.draft.rows, Number(e.target.value)));
+
+        this.root.querySelectorAll('.editor-tool[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tool = btn.dataset.tool;
+                this.renumbered = [];
+                this.root.querySelectorAll('.editor-tool[data-tool]').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                this._render();
+            });
+        });
+
+        $('#editor-clear-btn').addEventListener('click', () => {
+            this.draft.points = [];
+            this.draft.obstacles = [];
+            this.renumbered = [];
+            this._changed();
+        });
+
+        $('#editor-grid').addEventListener('click', (e) => {
+            const cell = e.target.closest('.editor-cell');
+            if (cell) this._onCellClick(Number(cell.dataset.row), Number(cell.dataset.col));
+        });
+
+        $('#editor-check-btn').addEventListener('click', () => this.check());
+        $('#editor-save-btn').addEventListener('click', () => this.save());
+        $('#editor-export-btn').addEventListener('click', () => this.exportPack());
+        $('#editor-play-btn').addEventListener('click', () => this.testPlay());
+    }
+
+    /**
+     * Draw the board
+     */
+    _render() {
+        const grid = this.root.querySelector('#editor-grid');
+        const { rows, cols, points, obstacles } = this.draft;
+        grid.style.setProperty('--editor-cols', cols);
+        grid.innerHTML = '';
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const key = `${row},${col}`;
+                const cell = document.createElement('button');
+                cell.className = 'editor-cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+
+                const point = points.find(p => p.row === row && p.col === col);
+                if (point) {
+                    cell.classList.add('point');
+                    cell.classList.toggle('renumbered', this.renumbered.includes(key));
+                    cell.textContent = point.number;
+                } else if (obstacles.some(o => o.row === row && o.col === col)) {
+                    cell.classList.add('obstacle');
+                }
+
+                grid.appendChild(cell);
+            }
+        }
+    }
+
+    /**
+     * Show a message under the board
+     * @param {string} message
+     * @param {string} type - 'ok', 'warning' or 'error'
+     */
+    _setStatus(message, type = '') {
+        const status = this.root.querySelector('#editor-status');
+        status.textContent = message;
+        status.dataset.type = type;
+    }
+}
@@ -60,6 +60,18 @@ export class Timer {
         this._updateDisplay();
     }
 
+    /**
+     * Set the elapsed time, e.g. when resuming a saved game
+     * @param {number} seconds
+     */
+    setTime(seconds) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.elapsedTime = seconds;
+        this._updateDisplay();
+        if (wasRunning) this.start();
+    }
+
     /**
      * Get current elapsed time in seconds
      * @returns {number}
@@ -0,0 +1,121 @@
+// =============================================
+// AMAZEING - Difficulty Rater
+// =============================================
+
+import { Solver } from './Solver.js';
+import { clamp, getGridDimensions } from '../utils/Helpers.js';
+
+// Solver budget in node-cells: each node costs time proportional to the
+// board, so large boards get fewer nodes (200,000 on a 6x6 board)
+const SEARCH_BUDGET = 7200000;
+
+/**
+ * DifficultyRater - Scores levels from 1 (easiest) to 10 (hardest)
+ * Combines how much the solver has to search, how often the player
+ * has a real choice, how twisty the solution is and how big the board is
+ */
+export class DifficultyRater {
+    /**
+     * Rate a level
+     * @param {Object} levelData - Level with size (or rows/cols), points, obstacles, walls and optional solution
+     * @returns {number|null} Difficulty from 1 to 10, or null if the level has no solution
+     */
+    static rate(levelData) {
+        const features = this.analyze(levelData);
+
+        // A finished search without a solution means there is nothing to rate
+        if (features.solutions === 0 && !features.aborted) {
+            return null;
+        }
+
+        // Each term is normalised to roughly 0..1 before weighting
+        let score = 1 +
+            3.0 * features.choiceRatio +
+            1.5 * clamp(Math.log10(features.searchNodes / features.cells), 0, 2) / 2 +
+            1.0 * features.turnDensity +
+            2.5 * clamp(Math.log2(features.cells / 36), 0, 2) / 2 +
+            1.0 * (1 - clamp(features.points / (features.cells / 6), 0, 1));
+
+        // Boards with several answers forgive wrong guesses
+        if (features.solutions > 1) {
+            score -= 2;
+        }
+
+        return clamp(Math.round(score), 1, 10);
+    }
+
+    /**
+     * Measure the features the rating is built from
+     * @param {Object} levelData
+     * @returns {Object} Features: cells, points, solutions, aborted, searchNodes, branching, forcedMoves, choiceRatio, turnDensity
+     */
+    static analyze(levelData) {
+        const { rows, cols } = getGridDimensions(levelData);
+        const cells = rows * cols - (levelData.obstacles || []).length;
+
+        const maxNodes = Math.floor(SEARCH_BUDGET / cells);
+        const search = Solver.solve(levelData, { maxSolutions: 2, maxNodes });
+        const path = this._solutionPath(levelData, search);
+        const replay = path ? Solver.analyze(levelData, path) : null;
+
+        const steps = replay ? replay.steps : cells - 1;
+        const forcedMoves = replay ? replay.forcedMoves : 0;
+
+        return {
+            cells,
+            points: levelData.points.length,
+            solutions: search.count,
+            aborted: search.aborted,
+            searchNodes: search.aborted ? search.nodes * 10 : search.nodes,
+            branching: replay ? replay.branching : 0,
+            forcedMoves,
+            choiceRatio: replay ? 1 - forcedMoves / steps : 1,
+            turnDensity: path ? this._turnDensity(path, levelData.topology) : 0.5
+        };
+    }
+
+    /**
+     * Pick the solution path to replay: the stored one if it is a real
+     * solution, otherwise the first one the solver found
+     * @private
+     * @returns {Array|null}
+     */
+    static _solutionPath(levelData, search) {
+        if (levelData.solution && levelData.solution.length > 0) {
+            const stored = Solver.toPath(levelData.solution);
+            const key = path => path.map(c => `${c.row},${c.col}`).join(';');
+            const storedKey = key(stored);
+            if (search.solutions.some(solution => key(solution) === storedKey)) {
+                return stored;
+            }
+        }
+
+        return search.solutions[0] || null;
+    }
+
+    /**
+     * Fraction of interior path cells where the path changes direction
+     * @private
+     * @returns {number} 0..1
+     */
+    static _turnDensity(path, topology) {
+        if (path.length < 3) return 0;
+
+        // Offset hex rows shift by half a cell, so compare directions in
+        // doubled-width columns where a straight line keeps a constant step
+        const x = topology === 'hex'
+            ? cell => cell.col * 2 + (cell.row & 1)
+            : cell => cell.col;
+
+        let turns = 0;
+        for (let i = 2; i < path.length; i++) {
+            const dr1 = path[i - 1].row - path[i - 2].row;
+            const dc1 = x(path[i - 1]) - x(path[i - 2]);
+            const dr2 = path[i].row - path[i - 1].row;
+            const dc2 = x(path[i]) - x(path[i - 1]);
+            if (dr1 !== dr2 || dc1 !== dc2) turns++;
+        }
+
+        return turns / (path.length - 2);
+    }
+}
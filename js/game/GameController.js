@@ -5,13 +5,19 @@
 import { gameState } from './GameState.js';
 import { Grid } from './Grid.js';
 import { PathManager } from './PathManager.js';
-import { LevelManager } from './LevelManager.js';
+import { LevelManager, PackImportError } from './LevelManager.js';
 import { LevelGenerator } from './LevelGenerator.js';
+import { SHAPES, getShapeMask } from './Shapes.js';
+import { GeneratorClient, GenerationCancelledError } from './GeneratorClient.js';
+import { Solver } from './Solver.js';
 import { Renderer } from '../ui/Renderer.js';
 import { InputHandler } from '../ui/InputHandler.js';
 import { Timer } from '../features/Timer.js';
-import { THEMES, GAME_STATES } from '../utils/Constants.js';
-import { debounce } from '../utils/Helpers.js';
+import { LevelEditor, EDITOR_TEST_ID } from '../features/LevelEditor.js';
+import { THEMES, GAME_STATES, STORAGE_KEYS } from '../utils/Constants.js';
+import { Storage } from '../utils/Storage.js';
+import { addDays, debounce, formatTime, getGridDimensions, getTodayString } from '../utils/Helpers.js';
+import { encodeLevel, decodeLevel, LevelCodeError } from '../utils/LevelCode.js';
 
 /**
  * GameController - Main game coordinator
@@ -21,18 +27,29 @@ export class GameController {
         this.grid = null;
         this.pathManager = null;
         this.levelManager = new LevelManager();
+        this.generator = new GeneratorClient();
         this.renderer = null;
         this.inputHandler = null;
         this.timer = null;
+        this.editor = null;
 
         this.isDaily = false;
+        this.dailyMonth = null; // 'YYYY-MM' shown in the daily archive
+        this.selectedPackIndex = 0; // Pack tab shown in the level select
         this.isRandomMode = true;  // Start in random mode by default
+        this.isDragging = false; // A drag that started a path is in progress
+        this.dragKeepsPath = false; // The drag picked up a resumed or reopened path
+        this.dragMoved = false; // The drag has made at least one accepted move
+        this.cursor = null; // Keyboard cursor {row, col}
+        this.keyboardActive = false; // Cursor is shown once a key is used
         this.currentDifficulty = 'easy';
 
         // Bind methods
         this._onDragStart = this._onDragStart.bind(this);
         this._onDragMove = this._onDragMove.bind(this);
         this._onDragEnd = this._onDragEnd.bind(this);
+        this._onKeyMove = this._onKeyMove.bind(this);
+        this._onKeyAction = this._onKeyAction.bind(this);
     }
 
     /**
@@ -52,7 +69,9 @@ export class GameController {
         this.inputHandler = new InputHandler(gridContainer, {
             onDragStart: this._onDragStart,
             onDragMove: this._onDragMove,
-            onDragEnd: this._onDragEnd
+            onDragEnd: this._onDragEnd,
+            onKeyMove: this._onKeyMove,
+            onKeyAction: this._onKeyAction
         });
 
         // Create timer
@@ -61,6 +80,11 @@ export class GameController {
             gameState.elapsedTime = time;
         });
 
+        // Create level editor
+        this.editor = new LevelEditor(document.getElementById('editor-modal'), {
+            onTestPlay: (level) => this._testEditorLevel(level)
+        });
+
         // Set up UI event listeners
         this._setupUIListeners();
 
@@ -76,8 +100,17 @@ export class GameController {
         await this.levelManager.loadPacks();
         this.levelManager.loadSavedPosition();
 
-        // Start with a random level
-        this.generateRandomLevel();
+        // Start with the level from a shared link, the unfinished game from
+        // last time, or a random one
+        if (!(await this._loadLevelFromHash()) && !this._offerResume()) {
+            this.generateRandomLevel();
+        }
+        window.addEventListener('hashchange', () => this._loadLevelFromHash());
+
+        // Paths are saved as they change; this catches the elapsed time
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this._saveGame();
+        });
     }
 
     /**
@@ -87,6 +120,24 @@ export class GameController {
         // Control buttons
         document.getElementById('reset-btn').addEventListener('click', () => this.reset());
         document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        document.getElementById('history-scrubber').addEventListener('input', (e) => {
+            this.pathManager?.seekHistory(Number(e.target.value));
+        });
+
+        // Undo: Ctrl/Cmd+Z, redo: Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
         document.getElementById('hint-btn').addEventListener('click', () => this.showHint());
         document.getElementById('share-btn').addEventListener('click', () => this.share());
 
@@ -110,12 +161,38 @@ export class GameController {
         document.getElementById('continue-btn').addEventListener('click', () => this._hideAllModals());
         document.getElementById('levels-btn').addEventListener('click', () => this._showLevelSelect());
         document.getElementById('daily-btn').addEventListener('click', () => this.loadDailyPuzzle());
+        document.getElementById('daily-archive-btn').addEventListener('click', () => this._showDailyArchive());
+        document.getElementById('code-btn').addEventListener('click', () => this._showCodeModal());
+        document.getElementById('editor-btn').addEventListener('click', () => this._showEditor());
         document.getElementById('themes-btn').addEventListener('click', () => this._showThemeSelect());
 
         // Close buttons
         document.getElementById('close-menu-btn')?.addEventListener('click', () => this._hideAllModals());
         document.getElementById('close-levels-btn')?.addEventListener('click', () => this._hideAllModals());
         document.getElementById('close-themes-btn')?.addEventListener('click', () => this._hideAllModals());
+        document.getElementById('close-daily-btn')?.addEventListener('click', () => this._hideAllModals());
+        document.getElementById('close-code-btn')?.addEventListener('click', () => this._hideAllModals());
+        document.getElementById('close-editor-btn')?.addEventListener('click', () => this._hideAllModals());
+
+        // Resume prompt
+        document.getElementById('resume-btn').addEventListener('click', () => this._resumeGame());
+        document.getElementById('resume-new-btn').addEventListener('click', () => {
+            this._hideAllModals();
+            this.generateRandomLevel();
+        });
+
+        // Level code modal
+        document.getElementById('copy-code-btn').addEventListener('click', () => {
+            this._copyToClipboard(document.getElementById('current-code').value);
+        });
+        document.getElementById('play-code-btn').addEventListener('click', () => this._playEnteredCode());
+        document.getElementById('code-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._playEnteredCode();
+        });
+
+        // Daily archive month navigation
+        document.getElementById('daily-prev-btn').addEventListener('click', () => this._changeDailyMonth(-1));
+        document.getElementById('daily-next-btn').addEventListener('click', () => this._changeDailyMonth(1));
 
         // Win modal buttons
         document.getElementById('next-level-btn').addEventListener('click', () => this.loadNextLevel());
@@ -129,21 +206,42 @@ export class GameController {
             });
         });
 
-        // Pack tabs
-        document.querySelectorAll('.pack-tab').forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                const packIndex = parseInt(e.currentTarget.dataset.pack, 10);
-                this._renderLevelGrid(packIndex);
+        // Pack tabs (imported pack tabs are added later, so clicks are delegated)
+        document.querySelector('.pack-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('.pack-tab');
+            if (tab) this._selectPackTab(parseInt(tab.dataset.pack, 10));
+        });
 
-                // Update active tab
-                document.querySelectorAll('.pack-tab').forEach(t => t.classList.remove('active'));
-                e.currentTarget.classList.add('active');
-            });
+        // Pack import, from the file picker or by dropping a file on the level select
+        const importInput = document.getElementById('import-pack-input');
+        document.getElementById('import-pack-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this._importPackFile(importInput.files[0]);
+            importInput.value = '';
+        });
+        document.getElementById('remove-pack-btn').addEventListener('click', () => this._removeSelectedPack());
+
+        const levelsModal = document.getElementById('levels-modal');
+        levelsModal.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            levelsModal.classList.add('drag-over');
+        });
+        levelsModal.addEventListener('dragleave', (e) => {
+            if (!levelsModal.contains(e.relatedTarget)) levelsModal.classList.remove('drag-over');
+        });
+        levelsModal.addEventListener('drop', (e) => {
+            e.preventDefault();
+            levelsModal.classList.remove('drag-over');
+            if (e.dataTransfer.files[0]) this._importPackFile(e.dataTransfer.files[0]);
         });
 
-        // Click outside modal to close
+        // Click outside modal to close (dismissing the resume prompt resumes)
         document.getElementById('modal-overlay').addEventListener('click', (e) => {
-            if (e.target.id === 'modal-overlay') {
+            if (e.target.id !== 'modal-overlay') return;
+
+            if (!document.getElementById('resume-modal').classList.contains('hidden')) {
+                this._resumeGame();
+            } else {
                 this._hideAllModals();
             }
         });
@@ -174,10 +272,31 @@ export class GameController {
             this.renderer.renderPaths();
         });
 
-        gameState.subscribe('undo', () => {
+        gameState.subscribe('history', () => {
+            this._refreshPointStatuses();
+            this.renderer.renderPaths();
+            this.renderer.highlightCurrentPoint(gameState.currentNumber);
+            this._followPathEnd();
+        });
+
+        // Keep the undo/redo buttons and scrubber in step with every move
+        ['pathStarted', 'pathExtended', 'pathTruncated', 'pathCompleted', 'pathCancelled', 'pathReopened',
+            'history', 'reset', 'restored', 'levelComplete'].forEach(event => {
+            gameState.subscribe(event, () => this._updateHistoryControls());
+        });
+
+        gameState.subscribe('pathReopened', () => {
+            this._refreshPointStatuses();
+            this.renderer.renderPaths();
+            this.renderer.highlightCurrentPoint(gameState.currentNumber);
+            this._followPathEnd();
+        });
+
+        gameState.subscribe('restored', () => {
             this._refreshPointStatuses();
             this.renderer.renderPaths();
             this.renderer.highlightCurrentPoint(gameState.currentNumber);
+            this._followPathEnd();
         });
 
         gameState.subscribe('reset', () => {
@@ -185,6 +304,13 @@ export class GameController {
             this.renderer.clearPaths();
             this.renderer.highlightCurrentPoint(1);
         });
+
+        // Save after every move, including the path still being drawn,
+        // so a reload loses nothing
+        ['pathStarted', 'pathExtended', 'pathTruncated', 'pathCompleted', 'pathCancelled', 'pathReopened',
+            'history', 'reset'].forEach(event => {
+            gameState.subscribe(event, () => this._saveGame());
+        });
     }
 
     /**
@@ -192,9 +318,14 @@ export class GameController {
      * @param {Object} levelData
      */
     loadLevel(levelData) {
+        // A level picked from the menu replaces any board still generating
+        this.generator.cancel();
+        this._setGenerating(false);
+
         // Create grid
-        this.grid = new Grid(levelData.size);
-        this.grid.initializePoints(levelData.points, levelData.obstacles || []);
+        const { rows, cols } = getGridDimensions(levelData);
+        this.grid = new Grid(rows, cols, levelData.topology);
+        this.grid.initializePoints(levelData.points, levelData.obstacles || [], levelData.walls || []);
 
         // Create path manager
         this.pathManager = new PathManager(this.grid);
@@ -205,11 +336,15 @@ export class GameController {
         // Update theme
         this.setTheme(levelData.theme || 'star-sky', false);
 
-        // Initialize renderer with obstacles
-        this.renderer.initialize(levelData.size, levelData.points, levelData.obstacles || []);
+        // Initialize renderer with obstacles and walls
+        this.renderer.initialize(levelData);
         this.renderer.renderPreview(levelData);
         this.renderer.highlightCurrentPoint(1);
 
+        // Keyboard cursor starts on the first point
+        const firstPoint = levelData.points.find(p => p.number === 1);
+        this._setCursor(firstPoint.row, firstPoint.col);
+
         // Update level name display
         document.getElementById('level-name').textContent = levelData.name;
 
@@ -234,7 +369,14 @@ export class GameController {
     _onDragStart(row, col) {
         if (gameState.gameState === GAME_STATES.COMPLETED) return;
 
+        // Pointer play hides the keyboard cursor until a key is used again
+        this.keyboardActive = false;
+        this.renderer.setCursor(null);
+
         const result = this.pathManager.tryStartPath(row, col);
+        this.isDragging = result.success;
+        this.dragKeepsPath = !!(result.resumed || result.reopened);
+        this.dragMoved = false;
 
         if (result.success) {
             this.renderer.renderPaths();
@@ -245,30 +387,169 @@ export class GameController {
      * Handle drag move
      * @param {number} row
      * @param {number} col
+     * @returns {boolean} Whether the move was accepted
      */
     _onDragMove(row, col) {
-        if (gameState.gameState !== GAME_STATES.DRAWING) return;
+        if (!this.isDragging || gameState.gameState !== GAME_STATES.DRAWING) return false;
 
         const result = this.pathManager.tryExtendPath(row, col);
 
         if (!result.success && result.reason !== 'same_cell') {
             this.renderer.showInvalidFeedback(row, col);
-        } else {
-            this.renderer.renderPaths();
+            return false;
         }
+
+        this.dragMoved = true;
+        this.renderer.renderPaths();
+        return true;
     }
 
     /**
      * Handle drag end
+     * An unfinished new path is dropped. A resumed or reopened path stays
+     * on the board unfinished once it has been dragged, so the part before
+     * the press point survives; tapping it without moving still drops it
      */
     _onDragEnd() {
-        if (gameState.gameState === GAME_STATES.DRAWING) {
-            // Cancel incomplete path
+        if (!this.isDragging) return;
+        this.isDragging = false;
+
+        if (gameState.gameState === GAME_STATES.DRAWING && !(this.dragKeepsPath && this.dragMoved)) {
             this.pathManager.cancelPath();
             this.renderer.renderPaths();
         }
     }
 
+    // =========================================
+    // Keyboard Play
+    // =========================================
+
+    /**
+     * Move the cursor, extending or backtracking the path while drawing
+     * @param {number} rowDelta
+     * @param {number} colDelta - Or the side (-1 left, 1 right) for a hex diagonal
+     * @param {boolean} [hexDiagonal=false] - See HEX_DIAGONAL_KEYS
+     * @returns {boolean} Whether the key was used
+     */
+    _onKeyMove(rowDelta, colDelta, hexDiagonal = false) {
+        if (this._isModalOpen() || this.isDragging || !this.grid) return false;
+        if (hexDiagonal && this.grid.topology !== 'hex') return false;
+        this.keyboardActive = true;
+
+        // While drawing, moves always start from the end of the path
+        const from = gameState.currentPath ? gameState.getCurrentPathEnd() : this.cursor;
+
+        // Odd-r rows: diagonals from an even row reach columns col-1 and col,
+        // from an odd row columns col and col+1
+        if (hexDiagonal) colDelta = (colDelta + (from.row % 2 ? 1 : -1)) / 2;
+
+        const row = from.row + rowDelta;
+        const col = from.col + colDelta;
+        if (!this.grid.isValidPosition(row, col)) {
+            this._setCursor(from.row, from.col);
+            return true;
+        }
+
+        if (gameState.gameState === GAME_STATES.DRAWING) {
+            const result = this.pathManager.tryExtendPath(row, col);
+            if (!result.success) {
+                this._setCursor(from.row, from.col);
+                this.renderer.showInvalidFeedback(row, col);
+                return true;
+            }
+            this.renderer.renderPaths();
+        }
+
+        this._setCursor(row, col);
+        return true;
+    }
+
+    /**
+     * Run a keyboard shortcut
+     * @param {string} action - See KEY_ACTIONS
+     * @returns {boolean} Whether the key was used
+     */
+    _onKeyAction(action) {
+        if (this._isModalOpen() || this.isDragging || !this.grid) return false;
+
+        switch (action) {
+            case 'select':
+                this.keyboardActive = true;
+                this._startPathAtCursor();
+                return true;
+            case 'cancel':
+                if (!gameState.currentPath) return false;
+                this.pathManager.cancelPath();
+                return true;
+            case 'undo':
+                this.undo();
+                return true;
+            case 'redo':
+                this.redo();
+                return true;
+            case 'reset':
+                this.reset();
+                return true;
+            case 'hint':
+                this.showHint();
+                return true;
+            case 'new':
+                this.generateRandomLevel();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Start a path at the cursor, or at the current point if the cursor
+     * cannot start one (a completed path under the cursor is reopened)
+     */
+    _startPathAtCursor() {
+        if (gameState.currentPath) {
+            this._followPathEnd();
+            return;
+        }
+
+        let result = this.pathManager.tryStartPath(this.cursor.row, this.cursor.col);
+        if (!result.success) {
+            const point = gameState.points.find(p => p.number === gameState.currentNumber);
+            if (!point) return;
+
+            result = this.pathManager.tryStartPath(point.row, point.col);
+        }
+
+        if (result.success) {
+            this._followPathEnd();
+            this.renderer.renderPaths();
+        }
+    }
+
+    /**
+     * Move the keyboard cursor, showing it if the keyboard is in use
+     * @param {number} row
+     * @param {number} col
+     */
+    _setCursor(row, col) {
+        this.cursor = { row, col };
+        this.renderer.setCursor(this.keyboardActive ? row : null, col);
+    }
+
+    /**
+     * Put the cursor on the end of the path being drawn, if there is one
+     */
+    _followPathEnd() {
+        const end = gameState.getCurrentPathEnd();
+        if (end) this._setCursor(end.row, end.col);
+    }
+
+    /**
+     * @returns {boolean} Whether a modal is covering the board
+     */
+    _isModalOpen() {
+        return !document.getElementById('modal-overlay').classList.contains('hidden');
+    }
+
     /**
      * Handle level completion
      */
@@ -284,10 +565,11 @@ export class GameController {
             time: gameState.elapsedTime,
             hintsUsed: gameState.hintsUsed
         };
+        Storage.remove(STORAGE_KEYS.SAVED_GAME);
 
         if (this.isDaily) {
-            this.levelManager.markDailyComplete(stats);
-        } else {
+            this.levelManager.markDailyComplete(stats, gameState.levelData.date);
+        } else if (gameState.levelId !== EDITOR_TEST_ID) {
             this.levelManager.markLevelComplete(
                 this.levelManager.currentPackIndex,
                 this.levelManager.currentLevelIndex,
@@ -296,10 +578,11 @@ export class GameController {
         }
 
         // Show win modal
-        this.renderer.renderFinalArtwork(gameState.gridSize);
+        this.renderer.renderFinalArtwork(gameState.gridRows, gameState.gridCols);
 
+        const streak = this.isDaily ? this.levelManager.getDailyStreaks().current : 0;
         document.getElementById('win-stats').textContent =
-            `Time: ${this.timer.getFormattedTime()}`;
+            `Time: ${this.timer.getFormattedTime()}` + (streak > 0 ? ` · Streak: ${streak}` : '');
 
         // Show modal with delay for effect
         setTimeout(() => {
@@ -307,6 +590,88 @@ export class GameController {
         }, 500);
     }
 
+    // =========================================
+    // Saved Game
+    // =========================================
+
+    /**
+     * Save the board in progress so it can be resumed after a reload
+     * The move history is saved with it: it holds any path still being
+     * drawn and keeps undo working after a resume. A board with no moves
+     * yet has nothing to resume, so any earlier save is dropped instead
+     */
+    _saveGame() {
+        if (!gameState.levelData || gameState.isComplete) return;
+
+        if (gameState.history.length === 0) {
+            Storage.remove(STORAGE_KEYS.SAVED_GAME);
+            return;
+        }
+
+        Storage.set(STORAGE_KEYS.SAVED_GAME, {
+            levelData: gameState.levelData,
+            paths: gameState.paths,
+            history: gameState.history,
+            historyIndex: gameState.historyIndex,
+            elapsedTime: gameState.elapsedTime,
+            hintsUsed: gameState.hintsUsed,
+            randomMode: this.isRandomMode,
+            difficulty: this.currentDifficulty,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Restore the saved game, if there is one, and ask whether to carry on
+     * The timer stays paused until the player resumes
+     * @returns {boolean} Whether a saved game was restored
+     */
+    _offerResume() {
+        const saved = Storage.get(STORAGE_KEYS.SAVED_GAME);
+        if (!saved?.levelData) return false;
+
+        // Only boards with moves are offered (saves from before the history
+        // was kept have just their paths)
+        if (!(saved.history || saved.paths)?.length) {
+            Storage.remove(STORAGE_KEYS.SAVED_GAME);
+            return false;
+        }
+
+        try {
+            this.isRandomMode = saved.randomMode;
+            this.currentDifficulty = saved.difficulty || 'easy';
+            document.querySelectorAll('.difficulty-btn').forEach(btn => {
+                btn.classList.toggle('active', this.isRandomMode && btn.dataset.difficulty === this.currentDifficulty);
+            });
+
+            this.loadLevel(saved.levelData);
+            gameState.restoreProgress(saved);
+            this.grid.rebuildFromPaths(
+                gameState.currentPath ? [...gameState.paths, gameState.currentPath] : gameState.paths
+            );
+            this.timer.stop();
+            this.timer.setTime(saved.elapsedTime);
+            this._saveGame();
+        } catch (error) {
+            console.warn('Could not restore the saved game:', error);
+            Storage.remove(STORAGE_KEYS.SAVED_GAME);
+            return false;
+        }
+
+        document.getElementById('resume-details').textContent =
+            `${saved.levelData.name} · ${gameState.getProgress()}% filled · ${formatTime(saved.elapsedTime)}`;
+        this._showModal('resume-modal');
+        return true;
+    }
+
+    /**
+     * Carry on with the restored game
+     */
+    _resumeGame() {
+        this._hideAllModals();
+        this.timer.start();
+    }
+
     /**
      * Reset current level
      */
@@ -321,7 +686,29 @@ export class GameController {
      * Undo last path
      */
     undo() {
-        this.pathManager.undo();
+        if (this.isDragging) return;
+        this.pathManager?.undo();
+    }
+
+    /**
+     * Redo the last undone move
+     */
+    redo() {
+        if (this.isDragging) return;
+        this.pathManager?.redo();
+    }
+
+    /**
+     * Enable the undo/redo buttons and size the scrubber to the history
+     */
+    _updateHistoryControls() {
+        const scrubber = document.getElementById('history-scrubber');
+        scrubber.max = gameState.history.length;
+        scrubber.value = gameState.historyIndex;
+        scrubber.disabled = gameState.history.length === 0 || gameState.isComplete;
+
+        document.getElementById('undo-btn').disabled = !gameState.canUndo();
+        document.getElementById('redo-btn').disabled = !gameState.canRedo();
     }
 
     /**
@@ -337,13 +724,16 @@ export class GameController {
     }
 
     /**
-     * Share completed puzzle
+     * Share the current puzzle as a link that opens the same board
      */
     async share() {
         const theme = THEMES[gameState.theme] || THEMES['star-sky'];
         const emoji = theme.emojis[0];
+        const name = gameState.levelData?.name || 'a puzzle';
 
-        const text = `I completed "${gameState.levelData?.name || 'a puzzle'}" in Amazeing! ${emoji}\nTime: ${this.timer.getFormattedTime()}\nPlay at: [Your URL]`;
+        const text = gameState.isComplete
+            ? `I completed "${name}" in Amazeing! ${emoji}\nTime: ${this.timer.getFormattedTime()}\nPlay it: ${this._getShareUrl()}`
+            : `Can you solve "${name}" in Amazeing? ${emoji}\nPlay it: ${this._getShareUrl()}`;
 
         if (navigator.share) {
             try {
@@ -361,6 +751,91 @@ export class GameController {
         }
     }
 
+    /**
+     * Get a link that opens the current level
+     * @returns {string}
+     */
+    _getShareUrl() {
+        const base = `${window.location.origin}${window.location.pathname}`;
+        return gameState.levelData ? `${base}#level=${encodeLevel(gameState.levelData)}` : base;
+    }
+
+    /**
+     * Load a level from a share code
+     * Codes carry no solution, so one is solved here to keep hints working
+     * @param {string} code
+     * @throws {LevelCodeError} If the code is malformed or the board has no solution
+     */
+    loadLevelCode(code) {
+        const level = decodeLevel(code);
+
+        // This runs on the main thread, so the search gets a small budget;
+        // a board it cannot settle in time still loads, just without hints
+        const result = Solver.solve(level, { maxSolutions: 1, maxNodes: 50000 });
+        if (result.count === 0 && !result.aborted) {
+            throw new LevelCodeError('That board has no solution.');
+        }
+        if (result.count > 0) {
+            level.solution = Solver.toSegments(result.solutions[0], level.points);
+        }
+
+        level.id = `code-${code.trim()}`;
+        this.isRandomMode = true;
+        this.loadLevel(level);
+    }
+
+    /**
+     * Load the level in a `#level=<code>` link, if there is one
+     * The hash is cleared afterwards so a reload does not bring the shared
+     * level back; a bad code falls back to a random level and says why
+     * @returns {Promise<boolean>} Whether the link held a level code
+     */
+    async _loadLevelFromHash() {
+        const match = /^#level=(.*)$/.exec(window.location.hash);
+        if (!match) return false;
+
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+        try {
+            this.loadLevelCode(match[1]);
+        } catch (error) {
+            if (!(error instanceof LevelCodeError)) throw error;
+
+            await this.generateRandomLevel();
+            this._showCodeModal(match[1], error.message);
+        }
+        return true;
+    }
+
+    /**
+     * Show the level code modal
+     * @param {string} code - Prefill for the code input
+     * @param {string} error - Message explaining why a code was rejected
+     */
+    _showCodeModal(code = '', error = '') {
+        document.getElementById('current-code').value =
+            gameState.levelData ? encodeLevel(gameState.levelData) : '';
+        document.getElementById('code-input').value = code;
+        document.getElementById('code-error').textContent = error;
+        this._showModal('code-modal');
+    }
+
+    /**
+     * Play the code typed or pasted into the code modal
+     * A whole shared link works as well as a bare code
+     */
+    _playEnteredCode() {
+        const input = document.getElementById('code-input').value;
+        const code = input.includes('#level=') ? input.split('#level=')[1] : input;
+
+        try {
+            this.loadLevelCode(code);
+        } catch (error) {
+            if (!(error instanceof LevelCodeError)) throw error;
+            document.getElementById('code-error').textContent = error.message;
+        }
+    }
+
     /**
      * Copy text to clipboard
      * @param {string} text
@@ -377,6 +852,11 @@ export class GameController {
      * Load next level
      */
     loadNextLevel() {
+        if (gameState.levelId === EDITOR_TEST_ID) {
+            this._showEditor();
+            return;
+        }
+
         if (this.isRandomMode) {
             // Generate a new random level
             this.generateRandomLevel();
@@ -384,8 +864,12 @@ export class GameController {
         }
 
         const level = this.levelManager.getNextLevel();
+        const lockedText = this.levelManager.getUnlockText(this.levelManager.currentPackIndex + 1);
         if (level) {
             this.loadLevel(level);
+        } else if (lockedText) {
+            alert(lockedText);
+            this._showLevelSelect();
         } else {
             alert('Congratulations! You completed all levels!');
             this._hideAllModals();
@@ -411,19 +895,39 @@ export class GameController {
 
     /**
      * Generate and load a random level
+     * Generation runs in a worker; calling this again while a level is
+     * still generating cancels the earlier request
      */
-    generateRandomLevel() {
+    async generateRandomLevel() {
+        this._setGenerating(true);
+
         try {
             console.log('Generating random level with difficulty:', this.currentDifficulty);
             const presets = LevelGenerator.getPresets();
             const preset = presets[this.currentDifficulty] || presets.easy;
 
             console.log('Using preset:', preset);
-            const level = LevelGenerator.generate({
-                size: preset.size,
+            const dimensions = this._useTallGrid() && preset.portrait
+                ? preset.portrait
+                : { rows: preset.size, cols: preset.size };
+
+            // Half of the shaped-preset boards take the outline of a theme,
+            // picked from the shapes the board is big enough for
+            const shapeIds = Object.keys(SHAPES)
+                .filter(id => getShapeMask(id, dimensions.rows, dimensions.cols));
+            const shape = preset.shapes && shapeIds.length > 0 && Math.random() < 0.5
+                ? shapeIds[Math.floor(Math.random() * shapeIds.length)]
+                : null;
+
+            const level = await this.generator.generate({
+                ...dimensions,
+                topology: preset.topology,
+                shape,
                 numPoints: preset.numPoints,
-                obstaclePercent: preset.obstaclePercent
-            });
+                obstaclePercent: preset.obstaclePercent,
+                wallPercent: preset.wallPercent,
+                unique: preset.unique
+            }, (progress) => this._setGenerating(true, progress));
 
             if (level) {
                 console.log('Level generated successfully:', level.id);
@@ -445,6 +949,9 @@ export class GameController {
                 }
             }
         } catch (error) {
+            // A newer request took over and owns the loading state
+            if (error instanceof GenerationCancelledError) return;
+
             console.error('Error generating random level:', error);
             console.error('Stack:', error.stack);
             // Load fallback level on error
@@ -452,6 +959,29 @@ export class GameController {
         }
     }
 
+    /**
+     * Show or hide the loading state over the grid
+     * Input is disabled while generating; loadLevel() re-enables it
+     * @param {boolean} active
+     * @param {number} progress - 0..1
+     */
+    _setGenerating(active, progress = 0) {
+        document.querySelector('.grid-wrapper').classList.toggle('generating', active);
+        document.getElementById('generating-progress').textContent = `${Math.round(progress * 100)}%`;
+
+        if (active) {
+            this.inputHandler.disable();
+        }
+    }
+
+    /**
+     * Check whether the viewport suits a taller-than-wide grid (phone portrait)
+     * @returns {boolean}
+     */
+    _useTallGrid() {
+        return window.matchMedia('(orientation: portrait) and (max-width: 600px)').matches;
+    }
+
     /**
      * Load a simple fallback level when generation fails
      */
@@ -476,13 +1006,27 @@ export class GameController {
 
     /**
      * Load daily puzzle
+     * The board is generated from the date in the worker, like random levels
+     * @param {string} date - YYYY-MM-DD, defaults to today
      */
-    loadDailyPuzzle() {
+    async loadDailyPuzzle(date = getTodayString()) {
         this.isRandomMode = false;
-        const daily = this.levelManager.getDailyPuzzle();
-        this.loadLevel(daily);
         // Deselect difficulty buttons when playing daily
         document.querySelectorAll('.difficulty-btn').forEach(b => b.classList.remove('active'));
+
+        const { options } = this.levelManager.getDailySettings(date);
+        this._hideAllModals();
+        this._setGenerating(true);
+
+        try {
+            const level = await this.generator.generate(options, (progress) => this._setGenerating(true, progress));
+            this.loadLevel(this.levelManager.toDailyLevel(level, date));
+        } catch (error) {
+            if (error instanceof GenerationCancelledError) return;
+
+            console.error('Error generating daily puzzle:', error);
+            this.loadLevel(this.levelManager.toDailyLevel(null, date));
+        }
     }
 
     /**
@@ -537,14 +1081,103 @@ export class GameController {
      * Show level select modal
      */
     _showLevelSelect() {
-        this._renderLevelGrid(this.levelManager.currentPackIndex);
+        this._renderPackTabs();
+        this._selectPackTab(this.levelManager.currentPackIndex);
+        this._showModal('levels-modal');
+    }
 
-        // Update active tab
-        document.querySelectorAll('.pack-tab').forEach((tab, index) => {
-            tab.classList.toggle('active', index === this.levelManager.currentPackIndex);
+    /**
+     * Build a tab for each loaded pack, built-in packs first
+     */
+    _renderPackTabs() {
+        const tabs = document.querySelector('.pack-tabs');
+        tabs.innerHTML = '';
+
+        this.levelManager.packs.forEach((pack, index) => {
+            const tab = document.createElement('button');
+            tab.className = 'pack-tab';
+            tab.classList.toggle('custom', !!pack.custom);
+            tab.dataset.pack = index;
+
+            const locked = !this.levelManager.isPackUnlocked(index);
+            tab.classList.toggle('locked', locked);
+            tab.title = this.levelManager.getUnlockText(index);
+
+            const icon = locked ? '🔒' : pack.icon;
+            const size = pack.gridSize ? ` (${pack.gridSize}x${pack.gridSize})` : '';
+            tab.textContent = `${icon ? `${icon} ` : ''}${pack.packName}${size}`;
+            tabs.appendChild(tab);
         });
+    }
 
-        this._showModal('levels-modal');
+    /**
+     * Show a pack's levels and mark its tab active
+     * Locked packs show what unlocks them instead of the import hint
+     * @param {number} packIndex
+     */
+    _selectPackTab(packIndex) {
+        this.selectedPackIndex = packIndex;
+        this._renderLevelGrid(packIndex);
+
+        document.querySelectorAll('.pack-tab').forEach(tab => {
+            tab.classList.toggle('active', parseInt(tab.dataset.pack, 10) === packIndex);
+        });
+
+        const pack = this.levelManager.packs[packIndex];
+        document.getElementById('remove-pack-btn').classList.toggle('hidden', !pack?.custom);
+
+        this._setImportStatus(this.levelManager.getUnlockText(packIndex) || 'Or drop a pack file here.');
+    }
+
+    /**
+     * Read, validate and store a dropped or picked pack file
+     * @param {File} file
+     */
+    async _importPackFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (err) {
+            this._setImportStatus(`${file.name} is not a JSON file.`, 'error');
+            return;
+        }
+
+        try {
+            const packIndex = this.levelManager.importPack(data);
+            const pack = this.levelManager.packs[packIndex];
+            this._renderPackTabs();
+            this._selectPackTab(packIndex);
+            this._setImportStatus(`Imported ${pack.packName} (${pack.levels.length} levels).`, 'ok');
+        } catch (err) {
+            if (!(err instanceof PackImportError)) throw err;
+
+            const more = err.problems.length > 1 ? ` (and ${err.problems.length - 1} more problems)` : '';
+            this._setImportStatus(`${file.name} was not imported: ${err.problems[0]}${more}`, 'error');
+        }
+    }
+
+    /**
+     * Delete the imported pack whose tab is selected
+     */
+    _removeSelectedPack() {
+        const pack = this.levelManager.packs[this.selectedPackIndex];
+        if (!pack?.custom || !confirm(`Remove ${pack.packName}?`)) return;
+
+        this.levelManager.removeCustomPack(pack.packId);
+        this._renderPackTabs();
+        this._selectPackTab(0);
+        this._setImportStatus(`Removed ${pack.packName}.`, 'ok');
+    }
+
+    /**
+     * Show a message under the level select
+     * @param {string} message
+     * @param {string} type - 'ok' or 'error'
+     */
+    _setImportStatus(message, type = '') {
+        const status = document.getElementById('import-status');
+        status.textContent = message;
+        status.dataset.type = type;
     }
 
     /**
@@ -557,12 +1190,20 @@ export class GameController {
 
         const pack = this.levelManager.packs[packIndex];
         if (!pack || !pack.levels) return;
+        const locked = !this.levelManager.isPackUnlocked(packIndex);
 
         pack.levels.forEach((level, levelIndex) => {
             const btn = document.createElement('button');
             btn.className = 'level-btn';
             btn.textContent = levelIndex + 1;
 
+            if (locked) {
+                btn.classList.add('locked');
+                btn.disabled = true;
+                grid.appendChild(btn);
+                return;
+            }
+
             if (this.levelManager.isLevelCompleted(packIndex, levelIndex)) {
                 btn.classList.add('completed');
             }
@@ -584,6 +1225,102 @@ export class GameController {
         });
     }
 
+    /**
+     * Show the daily archive, opened on the current month
+     */
+    _showDailyArchive() {
+        this.dailyMonth = getTodayString().slice(0, 7);
+        this._renderDailyCalendar();
+        this._showModal('daily-modal');
+    }
+
+    /**
+     * Move the daily archive by whole months
+     * @param {number} delta - -1 for the previous month, 1 for the next
+     */
+    _changeDailyMonth(delta) {
+        const [year, month] = this.dailyMonth.split('-').map(Number);
+        this.dailyMonth = new Date(Date.UTC(year, month - 1 + delta, 1)).toISOString().slice(0, 7);
+        this._renderDailyCalendar();
+    }
+
+    /**
+     * Render the daily archive calendar and streak counters
+     * Weeks start on Monday, matching the daily difficulty rotation
+     */
+    _renderDailyCalendar() {
+        const today = getTodayString();
+        const [year, month] = this.dailyMonth.split('-').map(Number);
+        const firstDay = `${this.dailyMonth}-01`;
+
+        document.getElementById('daily-month').textContent =
+            new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+                month: 'long', year: 'numeric', timeZone: 'UTC'
+            });
+        document.getElementById('daily-next-btn').disabled = this.dailyMonth >= today.slice(0, 7);
+
+        const { current, longest } = this.levelManager.getDailyStreaks(today);
+        document.getElementById('current-streak').textContent = current;
+        document.getElementById('longest-streak').textContent = longest;
+
+        const calendar = document.getElementById('daily-calendar');
+        calendar.innerHTML = '';
+
+        ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].forEach(name => {
+            const label = document.createElement('span');
+            label.className = 'calendar-weekday';
+            label.textContent = name;
+            calendar.appendChild(label);
+        });
+
+        // Pad the first week up to the month's first weekday
+        const offset = (new Date(`${firstDay}T00:00:00Z`).getUTCDay() + 6) % 7;
+        for (let i = 0; i < offset; i++) {
+            calendar.appendChild(document.createElement('span'));
+        }
+
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        for (let day = 0; day < daysInMonth; day++) {
+            const date = addDays(firstDay, day);
+            const result = this.levelManager.getDailyResult(date);
+
+            const btn = document.createElement('button');
+            btn.className = 'calendar-day';
+            btn.textContent = day + 1;
+            btn.disabled = date > today;
+            btn.classList.toggle('today', date === today);
+
+            if (result?.completed) {
+                btn.classList.add('completed');
+                const time = document.createElement('span');
+                time.className = 'calendar-time';
+                time.textContent = formatTime(result.time);
+                btn.appendChild(time);
+            }
+
+            btn.addEventListener('click', () => this.loadDailyPuzzle(date));
+            calendar.appendChild(btn);
+        }
+    }
+
+    /**
+     * Show the level editor with its current draft
+     */
+    _showEditor() {
+        this.editor.open();
+        this._showModal('editor-modal');
+    }
+
+    /**
+     * Play a level from the editor; finishing it returns to the editor
+     * @param {Object} level
+     */
+    _testEditorLevel(level) {
+        this.isRandomMode = false;
+        document.querySelectorAll('.difficulty-btn').forEach(b => b.classList.remove('active'));
+        this.loadLevel(level);
+    }
+
     /**
      * Show theme select modal
      */
@@ -3,7 +3,7 @@
 // =============================================
 
 import { GAME_STATES } from '../utils/Constants.js';
-import { deepClone } from '../utils/Helpers.js';
+import { deepClone, getGridDimensions } from '../utils/Helpers.js';
 
 /**
  * GameState - Centralized reactive state management
@@ -16,7 +16,8 @@ class GameState {
             // Current level info
             levelId: null,
             levelData: null,
-            gridSize: 6,
+            gridRows: 6,
+            gridCols: 6,
             theme: 'star-sky',
 
             // Grid state - which cells are occupied
@@ -49,9 +50,9 @@ class GameState {
             // Stats
             hintsUsed: 0,
 
-            // History for undo
+            // Undo/redo: every path command, and how many of them are applied
             history: [],
-            maxHistory: 50
+            historyIndex: 0
         };
 
         // Event listeners
@@ -64,7 +65,8 @@ class GameState {
 
     get levelId() { return this._state.levelId; }
     get levelData() { return this._state.levelData; }
-    get gridSize() { return this._state.gridSize; }
+    get gridRows() { return this._state.gridRows; }
+    get gridCols() { return this._state.gridCols; }
     get theme() { return this._state.theme; }
     get occupiedCells() { return this._state.occupiedCells; }
     get paths() { return this._state.paths; }
@@ -78,6 +80,7 @@ class GameState {
     get elapsedTime() { return this._state.elapsedTime; }
     get hintsUsed() { return this._state.hintsUsed; }
     get history() { return this._state.history; }
+    get historyIndex() { return this._state.historyIndex; }
     get obstacles() { return this._state.obstacles; }
 
     // =========================================
@@ -125,7 +128,10 @@ class GameState {
     loadLevel(levelData) {
         this._state.levelId = levelData.id;
         this._state.levelData = levelData;
-        this._state.gridSize = levelData.size;
+
+        const { rows, cols } = getGridDimensions(levelData);
+        this._state.gridRows = rows;
+        this._state.gridCols = cols;
         this._state.theme = levelData.theme || 'star-sky';
         this._state.points = [...levelData.points];
         this._state.totalPoints = levelData.points.length;
@@ -153,6 +159,7 @@ class GameState {
         this._state.gameState = GAME_STATES.IDLE;
         this._state.isComplete = false;
         this._state.history = [];
+        this._state.historyIndex = 0;
         this._state.hintsUsed = 0;
         this._state.elapsedTime = 0;
         this._state.timerRunning = false;
@@ -163,6 +170,8 @@ class GameState {
     // =========================================
     // Path Management
     // =========================================
+    // Each change to the paths is a command: it is applied, recorded in
+    // the history and can later be reverted (undo) or applied again (redo)
 
     /**
      * Start a new path from a point
@@ -171,12 +180,7 @@ class GameState {
      * @param {number} pointNumber
      */
     startPath(row, col, pointNumber) {
-        this._state.currentPath = {
-            number: pointNumber,
-            cells: [{ row, col }]
-        };
-        this._state.occupiedCells.add(`${row},${col}`);
-        this._state.gameState = GAME_STATES.DRAWING;
+        this._execute({ type: 'start', row, col, pointNumber });
         this._notify('pathStarted', { row, col, pointNumber });
     }
 
@@ -188,8 +192,7 @@ class GameState {
     extendPath(row, col) {
         if (!this._state.currentPath) return;
 
-        this._state.currentPath.cells.push({ row, col });
-        this._state.occupiedCells.add(`${row},${col}`);
+        this._execute({ type: 'extend', row, col });
         this._notify('pathExtended', { row, col });
     }
 
@@ -200,10 +203,8 @@ class GameState {
     truncatePath(fromIndex) {
         if (!this._state.currentPath) return;
 
-        const removed = this._state.currentPath.cells.splice(fromIndex + 1);
-        removed.forEach(cell => {
-            this._state.occupiedCells.delete(`${cell.row},${cell.col}`);
-        });
+        const removed = this._state.currentPath.cells.slice(fromIndex + 1);
+        this._execute({ type: 'truncate', fromIndex, removed });
         this._notify('pathTruncated', { fromIndex, removed });
     }
 
@@ -215,52 +216,243 @@ class GameState {
     completePath(endRow, endCol) {
         if (!this._state.currentPath) return;
 
-        // Add final cell
-        this._state.currentPath.cells.push({ row: endRow, col: endCol });
-        this._state.occupiedCells.add(`${endRow},${endCol}`);
+        this._execute({ type: 'complete', row: endRow, col: endCol });
+        this._notify('pathCompleted', this._state.paths[this._state.paths.length - 1]);
 
-        // Save to history before committing
-        this.saveSnapshot();
+        // Check for level completion
+        this._checkCompletion();
+    }
 
-        // Move current path to completed paths
-        const completedPath = { ...this._state.currentPath };
-        this._state.paths.push(completedPath);
+    /**
+     * Cancel the current path
+     */
+    cancelPath() {
+        if (!this._state.currentPath) return;
 
-        // Mark points as connected
-        this._state.connectedPoints.add(completedPath.number);
-        this._state.connectedPoints.add(completedPath.number + 1);
+        const cancelled = this._state.currentPath;
+        this._execute({ type: 'cancel', path: deepClone(cancelled) });
+        this._notify('pathCancelled', cancelled);
+    }
 
-        // Update current number
-        this._state.currentNumber = completedPath.number + 1;
+    /**
+     * Reopen a completed path so it can be redrawn from one of its cells
+     * That path and every later one are taken off the board; the path
+     * becomes the current path, cut back to the given cell
+     * @param {number} number - Number of the path's starting point
+     * @param {number} index - Cell index in the path to keep up to
+     */
+    reopenPath(number, index) {
+        if (this._state.currentPath) return;
 
-        // Clear current path
-        this._state.currentPath = null;
-        this._state.gameState = GAME_STATES.IDLE;
+        const removed = deepClone(this._state.paths.filter(path => path.number >= number));
+        this._execute({ type: 'reopen', number, index, removed });
+        this._notify('pathReopened', { number, index });
+    }
 
-        this._notify('pathCompleted', completedPath);
+    /**
+     * Apply a new command and record it, dropping any undone commands
+     * @param {Object} command
+     */
+    _execute(command) {
+        this._apply(command);
+        this._state.history.splice(this._state.historyIndex);
+        this._state.history.push(command);
+        this._state.historyIndex = this._state.history.length;
+    }
 
-        // Check for level completion
-        this._checkCompletion();
+    /**
+     * Apply a command to the path state
+     * @param {Object} command
+     */
+    _apply(command) {
+        const state = this._state;
+        const occupy = (cell) => state.occupiedCells.add(`${cell.row},${cell.col}`);
+        const release = (cell) => state.occupiedCells.delete(`${cell.row},${cell.col}`);
+
+        switch (command.type) {
+            case 'start':
+                state.currentPath = {
+                    number: command.pointNumber,
+                    cells: [{ row: command.row, col: command.col }]
+                };
+                occupy(command);
+                state.gameState = GAME_STATES.DRAWING;
+                break;
+
+            case 'extend':
+                state.currentPath.cells.push({ row: command.row, col: command.col });
+                occupy(command);
+                break;
+
+            case 'truncate':
+                state.currentPath.cells.splice(command.fromIndex + 1).forEach(release);
+                break;
+
+            case 'complete': {
+                const completedPath = state.currentPath;
+                completedPath.cells.push({ row: command.row, col: command.col });
+                occupy(command);
+
+                state.paths.push(completedPath);
+                state.connectedPoints.add(completedPath.number);
+                state.connectedPoints.add(completedPath.number + 1);
+                state.currentNumber = completedPath.number + 1;
+                state.currentPath = null;
+                state.gameState = GAME_STATES.IDLE;
+                break;
+            }
+
+            case 'cancel':
+                state.currentPath.cells.slice(1).forEach(release);
+                this._releaseStart(state.currentPath.cells[0]);
+                state.currentPath = null;
+                state.gameState = GAME_STATES.IDLE;
+                break;
+
+            case 'reopen': {
+                const reopened = deepClone(command.removed.find(path => path.number === command.number));
+                reopened.cells = reopened.cells.slice(0, command.index + 1);
+
+                state.paths = state.paths.filter(path => path.number < command.number);
+                state.currentPath = reopened;
+                state.currentNumber = command.number;
+                state.gameState = GAME_STATES.DRAWING;
+                this._rebuildFromPaths();
+                break;
+            }
+        }
     }
 
     /**
-     * Cancel the current path
+     * Free the starting point of a dropped path, unless a completed path
+     * ends there (every point after the first is shared with the path before)
+     * @param {{row: number, col: number}} cell
      */
-    cancelPath() {
-        if (!this._state.currentPath) return;
+    _releaseStart({ row, col }) {
+        const shared = this._state.paths.some(path => path.cells.some(c => c.row === row && c.col === col));
+        if (!shared) {
+            this._state.occupiedCells.delete(`${row},${col}`);
+        }
+    }
 
-        // Remove all cells except the starting point (which is a number point)
-        this._state.currentPath.cells.forEach((cell, index) => {
-            if (index > 0) {
-                this._state.occupiedCells.delete(`${cell.row},${cell.col}`);
+    /**
+     * Undo a command's effect on the path state
+     * @param {Object} command
+     */
+    _revert(command) {
+        const state = this._state;
+        const occupy = (cell) => state.occupiedCells.add(`${cell.row},${cell.col}`);
+        const release = (cell) => state.occupiedCells.delete(`${cell.row},${cell.col}`);
+
+        switch (command.type) {
+            case 'start':
+                this._releaseStart(command);
+                state.currentPath = null;
+                state.gameState = GAME_STATES.IDLE;
+                break;
+
+            case 'extend':
+                release(state.currentPath.cells.pop());
+                break;
+
+            case 'truncate':
+                command.removed.forEach(cell => {
+                    state.currentPath.cells.push({ ...cell });
+                    occupy(cell);
+                });
+                break;
+
+            case 'complete': {
+                const path = state.paths.pop();
+                release(path.cells.pop());
+
+                state.connectedPoints = new Set(state.paths.flatMap(p => [p.number, p.number + 1]));
+                state.currentNumber = path.number;
+                state.currentPath = path;
+                state.gameState = GAME_STATES.DRAWING;
+                state.isComplete = false;
+                break;
             }
-        });
 
-        const cancelled = this._state.currentPath;
-        this._state.currentPath = null;
-        this._state.gameState = GAME_STATES.IDLE;
+            case 'cancel':
+                state.currentPath = deepClone(command.path);
+                state.currentPath.cells.forEach(occupy);
+                state.gameState = GAME_STATES.DRAWING;
+                break;
+
+            case 'reopen': {
+                const lastRemoved = command.removed[command.removed.length - 1];
+                state.paths = [...state.paths, ...deepClone(command.removed)];
+                state.currentPath = null;
+                state.currentNumber = lastRemoved.number + 1;
+                state.gameState = GAME_STATES.IDLE;
+                this._rebuildFromPaths();
+                break;
+            }
+        }
+    }
 
-        this._notify('pathCancelled', cancelled);
+    /**
+     * Recompute occupied cells and connected points from the paths,
+     * including the one being drawn
+     */
+    _rebuildFromPaths() {
+        const state = this._state;
+        const paths = state.currentPath ? [...state.paths, state.currentPath] : state.paths;
+
+        state.occupiedCells = new Set(paths.flatMap(path => path.cells.map(c => `${c.row},${c.col}`)));
+        state.connectedPoints = new Set(state.paths.flatMap(path => [path.number, path.number + 1]));
+    }
+
+    /**
+     * Put back the paths from a saved game
+     * The level must already be loaded. A saved history is replayed up to
+     * its index, so undo and redo carry on where they left off; saves that
+     * only hold completed paths get a history that draws each path in turn
+     * @param {Object} saved
+     * @param {Array} [saved.history] - Path commands, see _execute
+     * @param {number} [saved.historyIndex] - How many of them are applied
+     * @param {Array} [saved.paths] - Completed paths, used when there is no history
+     * @param {number} saved.elapsedTime
+     * @param {number} saved.hintsUsed
+     */
+    restoreProgress({ history, historyIndex, paths, elapsedTime, hintsUsed }) {
+        const state = this._state;
+        const commands = history ? deepClone(history) : this._commandsForPaths(paths);
+        const applied = history ? Math.min(historyIndex, commands.length) : commands.length;
+
+        state.paths = [];
+        state.occupiedCells = new Set();
+        state.currentPath = null;
+        state.connectedPoints = new Set();
+        state.currentNumber = 1;
+        state.gameState = GAME_STATES.IDLE;
+        state.isComplete = false;
+
+        commands.slice(0, applied).forEach(command => this._apply(command));
+        state.history = commands;
+        state.historyIndex = applied;
+        state.elapsedTime = elapsedTime;
+        state.hintsUsed = hintsUsed;
+
+        this._notify('restored');
+    }
+
+    /**
+     * Build the commands that draw completed paths one after another
+     * @param {Array} paths - Completed paths, in the order they were drawn
+     * @returns {Array} Commands, see _execute
+     */
+    _commandsForPaths(paths) {
+        return paths.flatMap(({ number, cells }) => {
+            const [first, ...rest] = cells;
+            const last = rest.pop();
+            return [
+                { type: 'start', row: first.row, col: first.col, pointNumber: number },
+                ...rest.map(({ row, col }) => ({ type: 'extend', row, col })),
+                { type: 'complete', row: last.row, col: last.col }
+            ];
+        });
     }
 
     /**
@@ -268,7 +460,7 @@ class GameState {
      * Level is complete when ALL non-obstacle cells are filled with paths
      */
     _checkCompletion() {
-        const totalCells = this._state.gridSize * this._state.gridSize;
+        const totalCells = this._state.gridRows * this._state.gridCols;
         const obstacleCount = this._state.obstacles.size;
         const fillableCells = totalCells - obstacleCount;
         const filledCells = this._state.occupiedCells.size;
@@ -286,7 +478,7 @@ class GameState {
      * @returns {number} Percentage 0-100
      */
     getProgress() {
-        const totalCells = this._state.gridSize * this._state.gridSize;
+        const totalCells = this._state.gridRows * this._state.gridCols;
         const obstacleCount = this._state.obstacles.size;
         const fillableCells = totalCells - obstacleCount;
         const filledCells = this._state.occupiedCells.size;
@@ -298,7 +490,7 @@ class GameState {
      * @returns {number}
      */
     getRemainingCells() {
-        const totalCells = this._state.gridSize * this._state.gridSize;
+        const totalCells = this._state.gridRows * this._state.gridCols;
         const obstacleCount = this._state.obstacles.size;
         const fillableCells = totalCells - obstacleCount;
         return fillableCells - this._state.occupiedCells.size;
@@ -363,44 +555,44 @@ class GameState {
     }
 
     // =========================================
-    // History (Undo)
+    // History (Undo/Redo)
     // =========================================
 
     /**
-     * Save current state to history
+     * Revert the last applied command
+     * @returns {boolean} Success
      */
-    saveSnapshot() {
-        const snapshot = {
-            paths: deepClone(this._state.paths),
-            occupiedCells: new Set(this._state.occupiedCells),
-            currentNumber: this._state.currentNumber,
-            connectedPoints: new Set(this._state.connectedPoints)
-        };
-
-        this._state.history.push(snapshot);
-
-        // Limit history size
-        if (this._state.history.length > this._state.maxHistory) {
-            this._state.history.shift();
-        }
+    undo() {
+        return this.seekHistory(this._state.historyIndex - 1);
     }
 
     /**
-     * Restore previous state (undo)
+     * Apply the next undone command again
      * @returns {boolean} Success
      */
-    undo() {
-        const snapshot = this._state.history.pop();
-        if (!snapshot) return false;
+    redo() {
+        return this.seekHistory(this._state.historyIndex + 1);
+    }
 
-        this._state.paths = snapshot.paths;
-        this._state.occupiedCells = snapshot.occupiedCells;
-        this._state.currentNumber = snapshot.currentNumber;
-        this._state.connectedPoints = snapshot.connectedPoints;
-        this._state.currentPath = null;
-        this._state.gameState = GAME_STATES.IDLE;
+    /**
+     * Step through the history until `index` commands are applied
+     * Notifies 'history' once, after all steps
+     * @param {number} index - 0 (nothing applied) to history.length
+     * @returns {boolean} Whether anything changed
+     */
+    seekHistory(index) {
+        const target = Math.max(0, Math.min(index, this._state.history.length));
+        if (target === this._state.historyIndex || this._state.isComplete) return false;
 
-        this._notify('undo', snapshot);
+        while (this._state.historyIndex > target) {
+            this._revert(this._state.history[--this._state.historyIndex]);
+        }
+        while (this._state.historyIndex < target) {
+            this._apply(this._state.history[this._state.historyIndex++]);
+        }
+
+        this._notify('history', this._state.historyIndex);
+        this._checkCompletion();
         return true;
     }
 
@@ -409,7 +601,15 @@ class GameState {
      * @returns {boolean}
      */
     canUndo() {
-        return this._state.history.length > 0;
+        return this._state.historyIndex > 0 && !this._state.isComplete;
+    }
+
+    /**
+     * Check if redo is available
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this._state.historyIndex < this._state.history.length && !this._state.isComplete;
     }
 
     // =========================================
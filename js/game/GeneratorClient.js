@@ -0,0 +1,143 @@
+// =============================================
+// AMAZEING - Background Level Generation
+// =============================================
+
+import { LevelGenerator } from './LevelGenerator.js';
+
+/**
+ * Raised when a generation request is cancelled before it finishes
+ */
+export class GenerationCancelledError extends Error {
+    constructor() {
+        super('Level generation cancelled');
+        this.name = 'GenerationCancelledError';
+    }
+}
+
+/**
+ * GeneratorClient - Promise-based wrapper around the generator worker
+ * Only one request runs at a time; starting a new one cancels the last.
+ * Falls back to generating on the main thread where module workers are
+ * unavailable
+ */
+export class GeneratorClient {
+    constructor() {
+        this.worker = null;
+        this.workerSupported = typeof Worker !== 'undefined';
+        this.pending = null; // {id, resolve, reject, onProgress, options}
+        this.nextId = 1;
+    }
+
+    /**
+     * Generate a level
+     * @param {Object} options - LevelGenerator.generate() options
+     * @param {Function} onProgress - Called with a 0..1 fraction as attempts run
+     * @returns {Promise<Object|null>} Level data, or null if generation failed
+     */
+    generate(options, onProgress = null) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            this.pending = { id: this.nextId++, resolve, reject, onProgress, options };
+
+            if (this.workerSupported) {
+                this._getWorker().postMessage({ id: this.pending.id, options });
+            } else {
+                this._generateInline(this.pending);
+            }
+        });
+    }
+
+    /**
+     * Cancel the running request, if any
+     * The worker is terminated because the generator cannot be interrupted
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject } = this.pending;
+        this.pending = null;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        reject(new GenerationCancelledError());
+    }
+
+    /**
+     * Get the worker, creating it on first use or after a cancel
+     * @returns {Worker}
+     */
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/GeneratorWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this._handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => this._handleWorkerError(e));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Route a worker message to the pending request
+     * @param {Object} message - {id, type, progress|level|message}
+     */
+    _handleMessage(message) {
+        const request = this.pending;
+        if (!request || message.id !== request.id) return;
+
+        if (message.type === 'progress') {
+            request.onProgress?.(message.progress);
+            return;
+        }
+
+        this.pending = null;
+        if (message.type === 'result') {
+            request.resolve(message.level);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * The worker failed to load (e.g. no module worker support):
+     * stop using workers and finish the request on the main thread
+     * @param {ErrorEvent} e
+     */
+    _handleWorkerError(e) {
+        console.warn('Generator worker failed, generating on the main thread:', e.message);
+        e.preventDefault();
+
+        this.workerSupported = false;
+        this.worker.terminate();
+        this.worker = null;
+
+        if (this.pending) {
+            this._generateInline(this.pending);
+        }
+    }
+
+    /**
+     * Generate on the main thread after yielding once, so a loading
+     * state can paint and a quick second request can still cancel this one
+     * @param {Object} request
+     */
+    _generateInline(request) {
+        setTimeout(() => {
+            if (this.pending !== request) return;
+
+            try {
+                const level = LevelGenerator.generate({
+                    ...request.options,
+                    onProgress: request.onProgress
+                });
+                this.pending = null;
+                request.resolve(level);
+            } catch (error) {
+                this.pending = null;
+                request.reject(error);
+            }
+        }, 0);
+    }
+}
@@ -2,7 +2,7 @@
 // AMAZEING - Grid Logic
 // =============================================
 
-import { posKey, areAdjacent } from '../utils/Helpers.js';
+import { posKey, areAdjacent, getNeighborOffsets, wallKey } from '../utils/Helpers.js';
 
 /**
  * Grid class - Manages the game grid and cell states
@@ -10,23 +10,29 @@ import { posKey, areAdjacent } from '../utils/Helpers.js';
 export class Grid {
     /**
      * Create a new grid
-     * @param {number} size - Grid size (6, 8, 10, or 12)
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns (defaults to rows for a square grid)
+     * @param {string} topology - 'square' or 'hex'
      */
-    constructor(size) {
-        this.size = size;
-        this.cells = this._createGrid(size);
+    constructor(rows, cols = rows, topology = 'square') {
+        this.rows = rows;
+        this.cols = cols;
+        this.topology = topology;
+        this.cells = this._createGrid(rows, cols);
         this.points = new Map(); // Map of "row,col" -> point number
         this.obstacles = new Set(); // Set of "row,col" for blocked cells
+        this.walls = new Set(); // Set of wallKey() strings for blocked edges
     }
 
     /**
      * Create the grid data structure
-     * @param {number} size
+     * @param {number} rows
+     * @param {number} cols
      * @returns {Array<Array<Object>>}
      */
-    _createGrid(size) {
-        return Array.from({ length: size }, (_, row) =>
-            Array.from({ length: size }, (_, col) => ({
+    _createGrid(rows, cols) {
+        return Array.from({ length: rows }, (_, row) =>
+            Array.from({ length: cols }, (_, col) => ({
                 row,
                 col,
                 occupied: false,
@@ -56,7 +62,7 @@ export class Grid {
      * @returns {boolean}
      */
     isValidPosition(row, col) {
-        return row >= 0 && row < this.size && col >= 0 && col < this.size;
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
     }
 
     /**
@@ -94,6 +100,27 @@ export class Grid {
         }
     }
 
+    /**
+     * Place a wall between two adjacent cells
+     * @param {Object} pos1 - {row, col}
+     * @param {Object} pos2 - {row, col}
+     */
+    setWall(pos1, pos2) {
+        if (this.areAdjacent(pos1, pos2)) {
+            this.walls.add(wallKey(pos1, pos2));
+        }
+    }
+
+    /**
+     * Check if a wall blocks movement between two cells
+     * @param {Object} pos1 - {row, col}
+     * @param {Object} pos2 - {row, col}
+     * @returns {boolean}
+     */
+    hasWall(pos1, pos2) {
+        return this.walls.has(wallKey(pos1, pos2));
+    }
+
     /**
      * Mark a cell as occupied
      * @param {number} row
@@ -158,32 +185,26 @@ export class Grid {
     }
 
     /**
-     * Get all valid adjacent positions (horizontal/vertical only)
+     * Get all valid adjacent positions for the grid's topology (not through walls)
      * @param {number} row
      * @param {number} col
      * @returns {Array<{row: number, col: number}>}
      */
     getNeighbors(row, col) {
-        const directions = [
-            { row: -1, col: 0 },  // up
-            { row: 1, col: 0 },   // down
-            { row: 0, col: -1 },  // left
-            { row: 0, col: 1 }    // right
-        ];
-
-        return directions
-            .map(d => ({ row: row + d.row, col: col + d.col }))
-            .filter(pos => this.isValidPosition(pos.row, pos.col));
+        return getNeighborOffsets(row, this.topology)
+            .map(([dr, dc]) => ({ row: row + dr, col: col + dc }))
+            .filter(pos => this.isValidPosition(pos.row, pos.col))
+            .filter(pos => !this.hasWall({ row, col }, pos));
     }
 
     /**
-     * Check if two positions are adjacent (horizontal/vertical only)
+     * Check if two positions are adjacent in the grid's topology
      * @param {Object} pos1 - {row, col}
      * @param {Object} pos2 - {row, col}
      * @returns {boolean}
      */
     areAdjacent(pos1, pos2) {
-        return areAdjacent(pos1, pos2);
+        return areAdjacent(pos1, pos2, this.topology);
     }
 
     /**
@@ -208,18 +229,25 @@ export class Grid {
      * Initialize grid with points from level data
      * @param {Array<{number: number, row: number, col: number}>} points
      * @param {Array<{row: number, col: number}>} obstacles - Optional obstacles
+     * @param {Array<{from: Object, to: Object}>} walls - Optional walls between cells
      */
-    initializePoints(points, obstacles = []) {
+    initializePoints(points, obstacles = [], walls = []) {
         // Reset grid
-        this.cells = this._createGrid(this.size);
+        this.cells = this._createGrid(this.rows, this.cols);
         this.points.clear();
         this.obstacles.clear();
+        this.walls.clear();
 
         // Set up obstacles first
         obstacles.forEach(o => {
             this.setObstacle(o.row, o.col);
         });
 
+        // Set up walls
+        walls.forEach(w => {
+            this.setWall(w.from, w.to);
+        });
+
         // Set up points
         points.forEach(p => {
             this.setPoint(p.row, p.col, p.number);
@@ -3,128 +3,374 @@
 // =============================================
 
 import { THEMES } from '../utils/Constants.js';
+import { createRandom, getNeighborOffsets, normalizeSeed, wallKey } from '../utils/Helpers.js';
+import { Solver } from './Solver.js';
+import { DifficultyRater } from './DifficultyRater.js';
+import { getShapeMask, getMaskedCells } from './Shapes.js';
 
 /**
  * LevelGenerator - Generates random solvable puzzle levels
  * Uses Hamiltonian path generation to ensure all cells can be filled
  */
+
+// Backbite moves per cell when shuffling a fresh path, and between obstacle carvings
+const BACKBITE_MIX_PER_CELL = 20;
+const BACKBITE_CARVE_PER_CELL = 1;
+
 export class LevelGenerator {
     /**
      * Generate a random level
      * @param {Object} options
-     * @param {number} options.size - Grid size (6, 8, 10, 12)
-     * @param {number} options.numPoints - Number of points (2, 4, 8)
+     * @param {number} options.size - Grid size for square boards (6, 8, 10, 12)
+     * @param {number} options.rows - Number of rows (defaults to size)
+     * @param {number} options.cols - Number of columns (defaults to size)
+     * @param {string} options.topology - 'square' or 'hex'
+     * @param {string} options.pathAlgorithm - 'backbite' (default) or 'dfs' (Warnsdorff search)
+     * @param {number} options.numPoints - Points to start from; with `unique` more may be added
      * @param {number} options.obstaclePercent - Percentage of cells as obstacles (0-20)
+     * @param {number} options.wallPercent - Walls between cells, as a percentage of the cell count
+     * @param {boolean} options.unique - Add points (or walls, if enabled) until the level has exactly one solution
+     * @param {string} options.shape - Shape from Shapes.js to cut the board to; also picks the matching theme
+     * @param {number|string} options.seed - Random seed; the same seed and options give the same level
+     * @param {Function} options.onProgress - Called with a 0..1 fraction after each attempt
      * @returns {Object|null} Level data or null if generation failed
      */
     static generate(options = {}) {
         const {
             size = 6,
+            rows = size,
+            cols = size,
+            topology = 'square',
+            pathAlgorithm = 'backbite',
             numPoints = 2,
-            obstaclePercent = 0
+            obstaclePercent = 0,
+            wallPercent = 0,
+            unique = false,
+            shape = null,
+            onProgress = null
         } = options;
 
+        const seed = options.seed === undefined
+            ? Math.floor(Math.random() * 4294967296)
+            : normalizeSeed(options.seed);
+        const random = createRandom(seed);
+
+        // Cells outside the shape are blocked before anything else is placed
+        const mask = shape ? getShapeMask(shape, rows, cols) : null;
+        const blocked = mask ? getMaskedCells(mask) : [];
+
         // Calculate max obstacles (keep grid solvable)
-        const totalCells = size * size;
+        const totalCells = rows * cols - blocked.length;
         const maxObstacles = Math.floor(totalCells * (obstaclePercent / 100));
+        const maxWalls = Math.floor(totalCells * (wallPercent / 100));
+        const settings = { rows, cols, topology, pathAlgorithm, numPoints, maxObstacles, maxWalls, unique, shape, mask, blocked };
 
         // Try multiple times to generate a valid level
-        for (let attempt = 0; attempt < 50; attempt++) {
-            const result = this._tryGenerateLevel(size, numPoints, maxObstacles);
-            if (result) {
-                return result;
-            }
+        const maxAttempts = 50;
+        let level = null;
+        for (let attempt = 0; attempt < maxAttempts && !level; attempt++) {
+            level = this._tryGenerateLevel(settings, random);
+            onProgress?.(level ? 1 : (attempt + 1) / maxAttempts);
         }
 
         // Fallback: generate simpler level without obstacles
-        return this._tryGenerateLevel(size, numPoints, 0);
+        if (!level) {
+            level = this._tryGenerateLevel({ ...settings, maxObstacles: 0 }, random);
+        }
+
+        if (level) {
+            level.id = this.buildId({ rows, cols, topology, pathAlgorithm, numPoints, obstaclePercent, wallPercent, unique, shape: mask ? shape : null, seed });
+            level.seed = seed;
+        }
+
+        return level;
     }
 
     /**
-     * Attempt to generate a level
-     * @private
+     * Build a level id that encodes everything needed to regenerate the level
+     * Format: random-<seed>-<cols>x<rows>-<points>p-<obstacles>o[-<walls>w][-u][-hex][-dfs][-shape-<name>]
+     * @param {Object} options - Generation options including a numeric seed
+     * @returns {string}
      */
-    static _tryGenerateLevel(size, numPoints, maxObstacles) {
-        // Generate random obstacles
-        const obstacles = this._generateObstacles(size, maxObstacles);
+    static buildId(options) {
+        const {
+            size, rows = size, cols = size, topology, pathAlgorithm,
+            numPoints, obstaclePercent, wallPercent = 0, unique, shape, seed
+        } = options;
+        const walls = wallPercent > 0 ? `-${wallPercent}w` : '';
+        const flags = `${unique ? '-u' : ''}${topology === 'hex' ? '-hex' : ''}${pathAlgorithm === 'dfs' ? '-dfs' : ''}${shape ? `-shape-${shape}` : ''}`;
+        return `random-${seed}-${cols}x${rows}-${numPoints}p-${obstaclePercent}o${walls}${flags}`;
+    }
 
-        // Create grid representation
-        const grid = this._createGrid(size, obstacles);
+    /**
+     * Parse a generated level id back into generation options
+     * @param {string} id
+     * @returns {Object|null} Options for generate() or null if not a generated id
+     */
+    static parseId(id) {
+        const match = /^random-(\d+)-(\d+)x(\d+)-(\d+)p-(\d+)o(?:-(\d+)w)?(-u)?(-hex)?(-dfs)?(?:-shape-([a-z-]+))?$/.exec(id || '');
+        if (!match) return null;
 
-        // Find a Hamiltonian path through the grid
-        const path = this._findHamiltonianPath(grid, size, obstacles);
+        return {
+            seed: Number(match[1]),
+            cols: Number(match[2]),
+            rows: Number(match[3]),
+            numPoints: Number(match[4]),
+            obstaclePercent: Number(match[5]),
+            wallPercent: Number(match[6] || 0),
+            unique: !!match[7],
+            topology: match[8] ? 'hex' : 'square',
+            pathAlgorithm: match[9] ? 'dfs' : 'backbite',
+            shape: match[10] || null
+        };
+    }
+
+    /**
+     * Regenerate a level from its id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    static regenerate(id) {
+        const options = this.parseId(id);
+        return options ? this.generate(options) : null;
+    }
+
+    /**
+     * Attempt to generate a level
+     * @private
+     */
+    static _tryGenerateLevel(settings, random) {
+        const { rows, cols, topology, pathAlgorithm, numPoints, maxObstacles, maxWalls, unique, mask, blocked } = settings;
+
+        let obstacles;
+        let path;
+
+        if (pathAlgorithm === 'dfs') {
+            // Place obstacles first, then search for a path around them
+            obstacles = this._generateObstacles(rows, cols, topology, maxObstacles, random, blocked);
+            path = this._findHamiltonianPath(this._createGrid(rows, cols, obstacles), topology, obstacles, random);
+        } else {
+            // Shuffle a path over the whole board, then carve obstacles from its ends
+            ({ path, obstacles } = this._generateBackbitePath(rows, cols, topology, maxObstacles, random, blocked));
+        }
 
         if (!path) {
             return null;
         }
 
+        // Create grid representation
+        const grid = this._createGrid(rows, cols, obstacles);
+
         // Place points along the path
-        const points = this._placePoints(path, numPoints);
+        let points = this._placePoints(path, numPoints);
+
+        // Block some edges the path does not use
+        let walls = this._generateWalls(path, grid, topology, maxWalls, random);
+
+        // Add intermediate points (and walls) until only one solution remains
+        if (unique) {
+            const dimensions = { rows, cols, topology, obstacles };
+            const constraints = this._makeUnique(path, points, walls, dimensions, maxWalls > 0, random);
+            if (!constraints) {
+                return null;
+            }
+            ({ points, walls } = constraints);
+        }
 
         // Create solution segments
         const solution = this._createSolution(path, points);
 
-        // Pick a random theme
+        // Pick a random theme, or the one the board is shaped after
         const themeKeys = Object.keys(THEMES);
-        const theme = themeKeys[Math.floor(Math.random() * themeKeys.length)];
-
-        // Generate level ID
-        const levelId = `random-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
-
-        return {
-            id: levelId,
-            name: `Random ${size}x${size}`,
-            size: size,
+        const shapeTheme = mask && themeKeys.find(key => THEMES[key].shape === settings.shape);
+        const theme = shapeTheme || themeKeys[Math.floor(random() * themeKeys.length)];
+
+        // Square boards keep the single `size` field older levels use
+        const level = {
+            name: `Random ${cols}x${rows}`,
+            ...(rows === cols ? { size: rows } : { rows, cols }),
+            ...(topology === 'hex' ? { topology } : {}),
+            ...(mask ? { mask } : {}),
             theme: theme,
-            difficulty: Math.ceil(size / 4),
+            difficulty: null,
             points: points,
             obstacles: obstacles,
+            walls: walls,
             solution: solution
         };
+
+        level.difficulty = DifficultyRater.rate(level);
+
+        return level;
+    }
+
+    /**
+     * Generate random walls on edges the solution path never crosses
+     * @private
+     */
+    static _generateWalls(path, grid, topology, maxWalls, random) {
+        if (maxWalls === 0) return [];
+
+        const candidates = this._unusedEdges(path, grid, topology);
+        this._shuffle(candidates, random);
+
+        return candidates.slice(0, maxWalls);
+    }
+
+    /**
+     * List edges between adjacent open cells that the path does not use
+     * @private
+     * @returns {Array<{from: Object, to: Object}>}
+     */
+    static _unusedEdges(path, grid, topology) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const used = this._pathEdges(path);
+        const edges = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (grid[row][col] === -1) continue;
+
+                for (const [dr, dc] of getNeighborOffsets(row, topology)) {
+                    // Visit each edge once, from its upper/left cell
+                    if (dr < 0 || (dr === 0 && dc < 0)) continue;
+
+                    const to = { row: row + dr, col: col + dc };
+                    if (to.row >= rows || to.col < 0 || to.col >= cols || grid[to.row][to.col] === -1) continue;
+
+                    const from = { row, col };
+                    if (!used.has(wallKey(from, to))) {
+                        edges.push({ from, to });
+                    }
+                }
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Get the set of edges a path moves along
+     * @private
+     * @returns {Set<string>} wallKey() strings
+     */
+    static _pathEdges(path) {
+        const edges = new Set();
+        for (let i = 1; i < path.length; i++) {
+            edges.add(wallKey(path[i - 1], path[i]));
+        }
+        return edges;
     }
 
     /**
      * Generate random obstacles avoiding corners
+     * An obstacle is only kept if the layout can still hold a Hamiltonian path
      * @private
+     * @param {Array<{row: number, col: number}>} blocked - Cells outside the board shape, returned first
      */
-    static _generateObstacles(size, maxObstacles) {
-        const obstacles = [];
-        const obstacleSet = new Set();
+    static _generateObstacles(rows, cols, topology, maxObstacles, random, blocked = []) {
+        const obstacles = [...blocked];
+        const obstacleSet = new Set(blocked.map(o => `${o.row},${o.col}`));
+        const grid = this._createGrid(rows, cols, blocked);
 
         // Avoid corners and edges for obstacles (make path easier to find)
         const avoidCells = new Set([
-            '0,0', `0,${size-1}`, `${size-1},0`, `${size-1},${size-1}`
+            '0,0', `0,${cols-1}`, `${rows-1},0`, `${rows-1},${cols-1}`
         ]);
 
         let attempts = 0;
-        while (obstacles.length < maxObstacles && attempts < maxObstacles * 10) {
+        while (obstacles.length - blocked.length < maxObstacles && attempts < maxObstacles * 10) {
             attempts++;
 
             // Prefer central obstacles
-            const row = Math.floor(Math.random() * (size - 2)) + 1;
-            const col = Math.floor(Math.random() * (size - 2)) + 1;
+            const row = Math.floor(random() * (rows - 2)) + 1;
+            const col = Math.floor(random() * (cols - 2)) + 1;
             const key = `${row},${col}`;
 
-            if (!obstacleSet.has(key) && !avoidCells.has(key)) {
+            if (obstacleSet.has(key) || avoidCells.has(key)) continue;
+
+            grid[row][col] = -1;
+            if (this._analyzeLayout(grid, topology)) {
                 obstacleSet.add(key);
                 obstacles.push({ row, col });
+            } else {
+                grid[row][col] = 0;
             }
         }
 
         return obstacles;
     }
 
+    /**
+     * Check an obstacle layout for problems that rule out any Hamiltonian path:
+     * the open cells must be connected, at most two of them (the path ends)
+     * may have fewer than two open neighbours, and on square boards the two
+     * checkerboard colours may differ by at most one cell
+     * @private
+     * @returns {{deadEnds: Array<{row: number, col: number}>, startColor: number|null}|null}
+     *          Constraints on where the path starts, or null if the layout is impossible
+     */
+    static _analyzeLayout(grid, topology) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const deadEnds = [];
+        const colorCounts = [0, 0];
+        let openCount = 0;
+        let first = null;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (grid[row][col] === -1) continue;
+
+                openCount++;
+                colorCounts[(row + col) % 2]++;
+                first = first || { row, col };
+
+                const degree = this._getNeighbors(grid, row, col, new Set(), topology).length;
+                if (degree < 2) {
+                    deadEnds.push({ row, col });
+                }
+            }
+        }
+
+        if (openCount === 0 || deadEnds.length > 2) return null;
+
+        // Flood fill from any open cell must reach all of them
+        const seen = new Set([`${first.row},${first.col}`]);
+        const queue = [first];
+        while (queue.length > 0) {
+            const { row, col } = queue.pop();
+            for (const next of this._getNeighbors(grid, row, col, seen, topology)) {
+                seen.add(`${next.row},${next.col}`);
+                queue.push(next);
+            }
+        }
+        if (seen.size !== openCount) return null;
+
+        // Hex boards are not bipartite, so colours only constrain square ones
+        if (topology === 'hex') {
+            return { deadEnds, startColor: null };
+        }
+
+        const imbalance = colorCounts[0] - colorCounts[1];
+        if (Math.abs(imbalance) > 1) return null;
+
+        // With one extra cell of a colour, the path must start and end on it
+        return { deadEnds, startColor: imbalance === 0 ? null : (imbalance > 0 ? 0 : 1) };
+    }
+
     /**
      * Create grid representation
      * @private
      */
-    static _createGrid(size, obstacles) {
+    static _createGrid(rows, cols, obstacles) {
         const grid = [];
         const obstacleSet = new Set(obstacles.map(o => `${o.row},${o.col}`));
 
-        for (let row = 0; row < size; row++) {
+        for (let row = 0; row < rows; row++) {
             grid[row] = [];
-            for (let col = 0; col < size; col++) {
+            for (let col = 0; col < cols; col++) {
                 grid[row][col] = obstacleSet.has(`${row},${col}`) ? -1 : 0;
             }
         }
@@ -132,32 +378,186 @@ export class LevelGenerator {
         return grid;
     }
 
+    /**
+     * Generate a random Hamiltonian path with the backbite algorithm
+     * Starts from a row-by-row snake (valid on square and hex boards) and
+     * shuffles it with backbite moves. Each obstacle is carved by dropping
+     * a path end, so the path always covers every remaining cell
+     * @private
+     * @param {Array<{row: number, col: number}>} blocked - Cells outside the board shape, returned first
+     * @returns {{path: Array<{row: number, col: number}>|null, obstacles: Array<{row: number, col: number}>}}
+     */
+    static _generateBackbitePath(rows, cols, topology, maxObstacles, random, blocked = []) {
+        const cellCount = rows * cols;
+        const neighbors = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                neighbors.push(getNeighborOffsets(row, topology)
+                    .map(([dr, dc]) => ({ row: row + dr, col: col + dc }))
+                    .filter(n => n.row >= 0 && n.row < rows && n.col >= 0 && n.col < cols)
+                    .map(n => n.row * cols + n.col));
+            }
+        }
+
+        const removed = new Uint8Array(cellCount);
+        blocked.forEach(({ row, col }) => { removed[row * cols + col] = 1; });
+
+        // A shaped board has no ready-made snake, so grow a path over it instead
+        let path = [];
+        if (blocked.length === 0) {
+            for (let row = 0; row < rows; row++) {
+                for (let i = 0; i < cols; i++) {
+                    path.push(row * cols + (row % 2 === 0 ? i : cols - 1 - i));
+                }
+            }
+        } else {
+            path = this._growBackbitePath(neighbors, removed, random);
+            if (!path) {
+                return { path: null, obstacles: [...blocked] };
+            }
+        }
+
+        this._backbite(path, neighbors, removed, cellCount * BACKBITE_MIX_PER_CELL, random);
+
+        const obstacles = [...blocked];
+        for (let i = 0; i < maxObstacles && path.length > 2; i++) {
+            const cell = random() < 0.5 ? path.pop() : path.shift();
+            removed[cell] = 1;
+            obstacles.push({ row: Math.floor(cell / cols), col: cell % cols });
+            this._backbite(path, neighbors, removed, cellCount * BACKBITE_CARVE_PER_CELL, random);
+        }
+
+        return {
+            path: path.map(cell => ({ row: Math.floor(cell / cols), col: cell % cols })),
+            obstacles
+        };
+    }
+
+    /**
+     * Grow a Hamiltonian path over the open cells of an arbitrary board
+     * The tail extends into a free neighbour when it has one and makes a
+     * backbite move otherwise; the path is flipped at random so both ends grow
+     * @private
+     * @param {Array<Array<number>>} neighbors - Neighbouring cell indices per cell
+     * @param {Uint8Array} removed - Cells not on the board
+     * @param {Function} random
+     * @returns {Array<number>|null} Cell indices, or null if no path turned up in time
+     */
+    static _growBackbitePath(neighbors, removed, random) {
+        const open = [];
+        neighbors.forEach((_, cell) => { if (!removed[cell]) open.push(cell); });
+        if (open.length === 0) return null;
+
+        const inPath = new Uint8Array(neighbors.length);
+        const path = [open[Math.floor(random() * open.length)]];
+        inPath[path[0]] = 1;
+
+        const maxMoves = open.length * open.length;
+        for (let move = 0; path.length < open.length && move < maxMoves; move++) {
+            if (random() < 0.5) path.reverse();
+
+            const tail = path[path.length - 1];
+            const options = neighbors[tail].filter(cell => !removed[cell]);
+            const free = options.filter(cell => !inPath[cell]);
+
+            if (free.length > 0) {
+                const next = free[Math.floor(random() * free.length)];
+                path.push(next);
+                inPath[next] = 1;
+            } else if (options.length > 0) {
+                const j = path.indexOf(options[Math.floor(random() * options.length)]);
+                let from = j + 1;
+                for (let to = path.length - 1; from < to; from++, to--) {
+                    [path[from], path[to]] = [path[to], path[from]];
+                }
+            }
+        }
+
+        return path.length === open.length ? path : null;
+    }
+
+    /**
+     * Apply random backbite moves to a Hamiltonian path in place
+     * A move joins a path end to one of its neighbours further along the
+     * path and reverses the stretch in between, which keeps the path
+     * Hamiltonian and moves the end somewhere new
+     * @private
+     * @param {Array<number>} path - Cell indices
+     * @param {Array<Array<number>>} neighbors - Neighbouring cell indices per cell
+     * @param {Uint8Array} removed - Cells no longer on the board
+     * @param {number} moves - Number of moves to attempt
+     * @param {Function} random
+     */
+    static _backbite(path, neighbors, removed, moves, random) {
+        const last = path.length - 1;
+        const position = new Int32Array(neighbors.length).fill(-1);
+        path.forEach((cell, i) => { position[cell] = i; });
+
+        const reverse = (from, to) => {
+            for (; from < to; from++, to--) {
+                [path[from], path[to]] = [path[to], path[from]];
+                position[path[from]] = from;
+                position[path[to]] = to;
+            }
+        };
+
+        for (let move = 0; move < moves; move++) {
+            const atEnd = random() < 0.5;
+            const options = neighbors[atEnd ? path[last] : path[0]];
+            const next = options[Math.floor(random() * options.length)];
+            if (removed[next]) continue;
+
+            const j = position[next];
+            if (atEnd && j !== last - 1) {
+                reverse(j + 1, last);
+            } else if (!atEnd && j !== 1) {
+                reverse(0, j - 1);
+            }
+        }
+    }
+
     /**
      * Find a Hamiltonian path using modified Warnsdorff's algorithm with backtracking
      * @private
      */
-    static _findHamiltonianPath(grid, size, obstacles) {
-        const totalCells = size * size - obstacles.length;
+    static _findHamiltonianPath(grid, topology, obstacles, random) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const totalCells = rows * cols - obstacles.length;
+
+        const layout = this._analyzeLayout(grid, topology);
+        if (!layout) {
+            return null;
+        }
 
-        // Try starting from different corners
-        const startPoints = [
-            { row: 0, col: 0 },
-            { row: 0, col: size - 1 },
-            { row: size - 1, col: 0 },
-            { row: size - 1, col: size - 1 }
-        ];
+        // A dead-end cell can only be a path end, so start there if there is one;
+        // otherwise try the corners (or, failing that, any cells) with a usable colour
+        const canStart = ({ row, col }) => grid[row][col] !== -1 &&
+            (layout.startColor === null || (row + col) % 2 === layout.startColor);
+
+        let startPoints = layout.deadEnds;
+        if (startPoints.length === 0) {
+            startPoints = [
+                { row: 0, col: 0 },
+                { row: 0, col: cols - 1 },
+                { row: rows - 1, col: 0 },
+                { row: rows - 1, col: cols - 1 }
+            ].filter(canStart);
+        }
+        if (startPoints.length === 0) {
+            startPoints = grid.flatMap((cells, row) => cells.map((_, col) => ({ row, col }))).filter(canStart);
+        }
 
-        // Shuffle start points
-        this._shuffle(startPoints);
+        // Shuffle start points and try a few of them
+        this._shuffle(startPoints, random);
+        startPoints = startPoints.slice(0, 4);
 
         for (const start of startPoints) {
-            if (grid[start.row][start.col] === -1) continue;
-
             const visited = new Set();
             const path = [];
-            const state = { iterations: 0, maxIterations: 50000 };
+            const state = { iterations: 0, maxIterations: 50000, random, topology };
 
-            if (this._hamiltonianDFS(grid, size, start.row, start.col, visited, path, totalCells, state)) {
+            if (this._hamiltonianDFS(grid, start.row, start.col, visited, path, totalCells, state)) {
                 return path;
             }
         }
@@ -169,7 +569,7 @@ export class LevelGenerator {
      * DFS with Warnsdorff's heuristic for Hamiltonian path
      * @private
      */
-    static _hamiltonianDFS(grid, size, row, col, visited, path, target, state) {
+    static _hamiltonianDFS(grid, row, col, visited, path, target, state) {
         // Check iteration limit to prevent long waits
         state.iterations++;
         if (state.iterations > state.maxIterations) {
@@ -185,22 +585,22 @@ export class LevelGenerator {
         }
 
         // Get neighbors sorted by Warnsdorff's heuristic (fewest onward moves first)
-        const neighbors = this._getNeighbors(grid, size, row, col, visited);
+        const neighbors = this._getNeighbors(grid, row, col, visited, state.topology);
 
         // Sort by degree (number of available moves from that cell)
         neighbors.sort((a, b) => {
-            const degA = this._getNeighbors(grid, size, a.row, a.col, visited).length;
-            const degB = this._getNeighbors(grid, size, b.row, b.col, visited).length;
+            const degA = this._getNeighbors(grid, a.row, a.col, visited, state.topology).length;
+            const degB = this._getNeighbors(grid, b.row, b.col, visited, state.topology).length;
             return degA - degB;
         });
 
         // Add some randomization to avoid always getting same path
-        if (neighbors.length > 1 && Math.random() < 0.3) {
-            this._shuffle(neighbors);
+        if (neighbors.length > 1 && state.random() < 0.3) {
+            this._shuffle(neighbors, state.random);
         }
 
         for (const next of neighbors) {
-            if (this._hamiltonianDFS(grid, size, next.row, next.col, visited, path, target, state)) {
+            if (this._hamiltonianDFS(grid, next.row, next.col, visited, path, target, state)) {
                 return true;
             }
         }
@@ -215,20 +615,14 @@ export class LevelGenerator {
      * Get valid neighbors for a cell
      * @private
      */
-    static _getNeighbors(grid, size, row, col, visited) {
+    static _getNeighbors(grid, row, col, visited, topology) {
         const neighbors = [];
-        const directions = [
-            { dr: -1, dc: 0 },  // up
-            { dr: 1, dc: 0 },   // down
-            { dr: 0, dc: -1 },  // left
-            { dr: 0, dc: 1 }    // right
-        ];
-
-        for (const { dr, dc } of directions) {
+
+        for (const [dr, dc] of getNeighborOffsets(row, topology)) {
             const nr = row + dr;
             const nc = col + dc;
 
-            if (nr >= 0 && nr < size && nc >= 0 && nc < size &&
+            if (nr >= 0 && nr < grid.length && nc >= 0 && nc < grid[0].length &&
                 grid[nr][nc] !== -1 && !visited.has(`${nr},${nc}`)) {
                 neighbors.push({ row: nr, col: nc });
             }
@@ -269,6 +663,138 @@ export class LevelGenerator {
         return points;
     }
 
+    /**
+     * Add points along the path until the level has a single solution
+     * Each new point sits where an alternative solution leaves our path,
+     * which rules that alternative out. With walls allowed, an alternative
+     * is first blocked by walling off an edge that only it uses
+     * @private
+     * @returns {{points: Array, walls: Array}|null} Constraints or null if uniqueness could not be reached
+     */
+    static _makeUnique(path, points, walls, dimensions, allowWalls, random) {
+        const indices = points.map(point =>
+            path.findIndex(p => p.row === point.row && p.col === point.col)
+        );
+        const maxPoints = Math.max(points.length, Math.floor(path.length / 3));
+        const maxWalls = allowWalls ? walls.length + Math.floor(path.length / 4) : 0;
+        const pathEdges = this._pathEdges(path);
+        walls = [...walls];
+
+        while (indices.length <= maxPoints) {
+            const candidate = this._pointsFromIndices(path, indices);
+            const result = Solver.solve(
+                { ...dimensions, points: candidate, walls },
+                { maxSolutions: 2, maxNodes: 200000 }
+            );
+
+            if (result.count === 1 && !result.aborted) {
+                return { points: candidate, walls };
+            }
+            if (result.count === 0 && !result.aborted) {
+                return null;
+            }
+
+            const other = result.solutions.find(solution =>
+                solution.some((cell, i) => cell.row !== path[i].row || cell.col !== path[i].col)
+            );
+            if (other && walls.length < maxWalls) {
+                const blockable = [];
+                for (let i = 1; i < other.length; i++) {
+                    if (!pathEdges.has(wallKey(other[i - 1], other[i]))) {
+                        blockable.push({ from: other[i - 1], to: other[i] });
+                    }
+                }
+                walls.push(blockable[Math.floor(random() * blockable.length)]);
+                continue;
+            }
+
+            const index = this._findSplitIndex(path, indices, result.solutions);
+            if (index === -1) {
+                return null;
+            }
+            indices.push(index);
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the path index for the next point
+     * Prefers a cell that another solution visits between a different pair
+     * of points, which rules that solution out, nearest the middle of its
+     * stretch. Falls back to splitting the longest stretch when the solver
+     * gave up before finding an alternative
+     * @private
+     * @returns {number} Path index or -1
+     */
+    static _findSplitIndex(path, indices, solutions) {
+        const sorted = [...indices].sort((a, b) => a - b);
+        const taken = new Set(indices);
+        const other = solutions.find(solution =>
+            solution.some((cell, i) => cell.row !== path[i].row || cell.col !== path[i].col)
+        );
+
+        // Distance to the nearest existing point along our path
+        const spacing = (index) => Math.min(
+            ...sorted.map(pointIndex => Math.abs(pointIndex - index))
+        );
+
+        if (other) {
+            const otherIndex = new Map(other.map((cell, i) => [`${cell.row},${cell.col}`, i]));
+            const otherSorted = sorted
+                .map(index => otherIndex.get(`${path[index].row},${path[index].col}`))
+                .sort((a, b) => a - b);
+            const stretch = (list, index) => list.filter(i => i < index).length;
+
+            let best = -1;
+            let fallback = -1;
+            let bestScore = 0;
+            let fallbackScore = 0;
+
+            path.forEach((cell, index) => {
+                if (taken.has(index)) return;
+
+                const alt = otherIndex.get(`${cell.row},${cell.col}`);
+                if (stretch(sorted, index) !== stretch(otherSorted, alt)) {
+                    if (spacing(index) > bestScore) {
+                        bestScore = spacing(index);
+                        best = index;
+                    }
+                } else if (Math.abs(alt - index) > fallbackScore) {
+                    fallbackScore = Math.abs(alt - index);
+                    fallback = index;
+                }
+            });
+
+            return best !== -1 ? best : fallback;
+        }
+
+        let best = -1;
+        let bestGap = 1;
+        for (let i = 1; i < sorted.length; i++) {
+            const gap = sorted[i] - sorted[i - 1];
+            if (gap > bestGap) {
+                bestGap = gap;
+                best = sorted[i - 1] + Math.floor(gap / 2);
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Number points by their order along the path
+     * @private
+     */
+    static _pointsFromIndices(path, indices) {
+        return [...indices]
+            .sort((a, b) => a - b)
+            .map((index, i) => ({
+                number: i + 1,
+                row: path[index].row,
+                col: path[index].col
+            }));
+    }
+
     /**
      * Create solution segments from path and points
      * @private
@@ -302,9 +828,9 @@ export class LevelGenerator {
      * Shuffle array in place
      * @private
      */
-    static _shuffle(array) {
+    static _shuffle(array, random) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
@@ -312,13 +838,19 @@ export class LevelGenerator {
 
     /**
      * Get difficulty presets
+     * `portrait` holds a taller board with about the same cell count for narrow screens;
+     * `shapes` lets the board be cut to one of the theme shapes.
+     * `numPoints` is the count generation starts from (and level ids encode);
+     * the uniqueness pass may add more, so labels give the usual final count
      */
     static getPresets() {
         return {
-            easy: { size: 6, numPoints: 2, obstaclePercent: 0, label: 'Easy (6x6, 2 pts)' },
-            medium: { size: 8, numPoints: 4, obstaclePercent: 5, label: 'Medium (8x8, 4 pts)' },
-            hard: { size: 10, numPoints: 4, obstaclePercent: 8, label: 'Hard (10x10, 4 pts)' },
-            expert: { size: 12, numPoints: 8, obstaclePercent: 10, label: 'Expert (12x12, 8 pts)' }
+            easy: { size: 6, portrait: { rows: 7, cols: 5 }, numPoints: 2, obstaclePercent: 0, unique: true, label: 'Easy (6x6, ~10 pts)' },
+            medium: { size: 8, portrait: { rows: 9, cols: 7 }, numPoints: 4, obstaclePercent: 5, unique: true, label: 'Medium (8x8, ~15 pts)' },
+            hard: { size: 10, portrait: { rows: 12, cols: 8 }, numPoints: 4, obstaclePercent: 8, wallPercent: 6, unique: true, shapes: true, label: 'Hard (10x10, 4 pts)' },
+            expert: { size: 12, portrait: { rows: 14, cols: 10 }, numPoints: 8, obstaclePercent: 10, wallPercent: 8, unique: true, shapes: true, label: 'Expert (12x12, 8 pts)' },
+            marathon: { size: 16, portrait: { rows: 20, cols: 13 }, numPoints: 12, obstaclePercent: 6, wallPercent: 6, unique: false, shapes: true, label: 'Marathon (16x16, 12 pts)' },
+            hex: { size: 8, topology: 'hex', numPoints: 4, obstaclePercent: 5, wallPercent: 6, unique: true, label: 'Hex (8x8, ~18 pts)' }
         };
     }
 }
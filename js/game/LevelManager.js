@@ -3,9 +3,30 @@
 // =============================================
 
 import { Storage } from '../utils/Storage.js';
-import { STORAGE_KEYS } from '../utils/Constants.js';
-import { dateHash, getTodayString } from '../utils/Helpers.js';
+import { STORAGE_KEYS, DAILY_ROTATION } from '../utils/Constants.js';
+import { addDays, dateHash, getTodayString } from '../utils/Helpers.js';
 import { LevelGenerator } from './LevelGenerator.js';
+import { LevelSchema, LevelSchemaError } from './LevelSchema.js';
+import { LevelValidator } from './LevelValidator.js';
+import { Solver } from './Solver.js';
+
+// Pack ids by the index older saves used, from the fixed pack1.json..pack4.json
+// list that was loaded before the manifest
+const LEGACY_PACK_IDS = ['pack1', 'pack2', 'pack3', 'pack4'];
+
+/**
+ * Raised when an imported pack is rejected
+ */
+export class PackImportError extends Error {
+    /**
+     * @param {Array<string>} problems - One message per problem found
+     */
+    constructor(problems) {
+        super(problems.join('; '));
+        this.name = 'PackImportError';
+        this.problems = problems;
+    }
+}
 
 /**
  * LevelManager - Handles level loading, progression, and storage
@@ -13,6 +34,7 @@ import { LevelGenerator } from './LevelGenerator.js';
 export class LevelManager {
     constructor() {
         this.packs = [];
+        this.customPacks = Storage.get(STORAGE_KEYS.CUSTOM_PACKS, []);
         this.currentPackIndex = 0;
         this.currentLevelIndex = 0;
         this.progress = Storage.get(STORAGE_KEYS.PROGRESS, {});
@@ -20,24 +42,50 @@ export class LevelManager {
     }
 
     /**
-     * Load all level packs
+     * Load the level packs listed in data/levels/manifest.json
+     * The manifest's name, icon, grid size and unlock requirement are
+     * copied onto each pack
      * @returns {Promise<Array>}
      */
     async loadPacks() {
+        let usingSamples = false;
         try {
-            const packFiles = ['pack1.json', 'pack2.json', 'pack3.json', 'pack4.json'];
+            const manifest = await fetch('data/levels/manifest.json');
+            if (!manifest.ok) {
+                throw new Error(`manifest.json: HTTP ${manifest.status}`);
+            }
+            const entries = LevelSchema.parseManifest(await manifest.json());
 
             this.packs = await Promise.all(
-                packFiles.map(async (file) => {
+                entries.map(async (entry) => {
+                    const { file } = entry;
                     try {
                         const response = await fetch(`data/levels/${file}`);
                         if (!response.ok) {
                             console.warn(`Failed to load ${file}`);
                             return null;
                         }
-                        return response.json();
+                        // Older formats are migrated; malformed packs are rejected here
+                        // rather than breaking the game when a level is rendered
+                        const pack = LevelSchema.parsePack(await response.json());
+                        if (pack.packId !== entry.id) {
+                            console.warn(`${file} has packId ${pack.packId}, but the manifest says ${entry.id}`);
+                        }
+
+                        return {
+                            ...pack,
+                            packId: entry.id,
+                            packName: entry.name,
+                            gridSize: entry.gridSize ?? pack.gridSize,
+                            icon: entry.icon,
+                            unlock: entry.unlock
+                        };
                     } catch (err) {
-                        console.warn(`Error loading ${file}:`, err);
+                        if (err instanceof LevelSchemaError) {
+                            console.warn(`Rejected ${file}: ${err.message}`);
+                        } else {
+                            console.warn(`Error loading ${file}:`, err);
+                        }
                         return null;
                     }
                 })
@@ -49,13 +97,152 @@ export class LevelManager {
             // If no packs loaded, use built-in sample levels
             if (this.packs.length === 0) {
                 this.packs = this._getSamplePacks();
+                usingSamples = true;
             }
-
-            return this.packs;
         } catch (error) {
             console.error('Error loading level packs:', error);
             this.packs = this._getSamplePacks();
-            return this.packs;
+            usingSamples = true;
+        }
+
+        // Imported packs come after the built-in ones
+        this.packs.push(...this.customPacks.map(pack => ({ ...pack, custom: true })));
+
+        // Old saves can only be mapped onto the real packs
+        if (!usingSamples) {
+            this._migrateProgress();
+        }
+        return this.packs;
+    }
+
+    /**
+     * Re-key progress saved by index (`${packIndex}-${levelIndex}`, from
+     * before progress was keyed by id) to `${packId}/${levelId}`
+     * Indices refer to the old fixed pack list, not to this.packs, which
+     * may be missing packs or ordered differently. Entries whose level is
+     * not loaded are kept for a later run
+     */
+    _migrateProgress() {
+        const legacyKeys = Object.keys(this.progress).filter(key => /^\d+-\d+$/.test(key));
+        let changed = false;
+
+        legacyKeys.forEach(key => {
+            const [packIndex, levelIndex] = key.split('-').map(Number);
+            const level = this._getLegacyLevel(packIndex, levelIndex);
+            if (!level) return;
+
+            const progressKey = `${LEGACY_PACK_IDS[packIndex]}/${level.id}`;
+            if (!this.progress[progressKey]) {
+                this.progress[progressKey] = this.progress[key];
+            }
+            delete this.progress[key];
+            changed = true;
+        });
+
+        if (changed) {
+            Storage.set(STORAGE_KEYS.PROGRESS, this.progress);
+        }
+    }
+
+    /**
+     * Look up a level by the indices older saves used
+     * @param {number} packIndex - Index into LEGACY_PACK_IDS
+     * @param {number} levelIndex
+     * @returns {Object|null} The level, if its pack is loaded
+     */
+    _getLegacyLevel(packIndex, levelIndex) {
+        const pack = this.packs.find(p => !p.custom && p.packId === LEGACY_PACK_IDS[packIndex]);
+        return pack?.levels[levelIndex] || null;
+    }
+
+    /**
+     * @param {number} packIndex
+     * @param {number} levelIndex
+     * @returns {string|null} Progress key for a level, null if there is no such level
+     */
+    _progressKey(packIndex, levelIndex) {
+        const level = this.getLevel(packIndex, levelIndex);
+        return level ? `${this.packs[packIndex].packId}/${level.id}` : null;
+    }
+
+    /**
+     * Import a pack file and keep it in storage
+     * Levels without a stored solution are solved here so hints work;
+     * one the solver cannot settle within its budget is rejected as unverified.
+     * A pack with the same packId as an earlier import replaces it
+     * @param {*} data - Parsed JSON
+     * @returns {number} Index of the pack in this.packs
+     * @throws {PackImportError}
+     */
+    importPack(data) {
+        let pack;
+        try {
+            pack = LevelSchema.parsePack(data);
+        } catch (err) {
+            if (err instanceof LevelSchemaError) throw new PackImportError(err.problems);
+            throw err;
+        }
+
+        if (this.packs.some(p => !p.custom && p.packId === pack.packId)) {
+            throw new PackImportError([`packId ${pack.packId} belongs to a built-in pack`]);
+        }
+        if (pack.levels.length === 0) {
+            throw new PackImportError(['pack has no levels']);
+        }
+
+        const problems = [];
+        LevelValidator.validatePack(pack, { checkSolvable: false }).forEach(({ id, errors }) => {
+            errors.forEach(message => problems.push(`level ${id}: ${message}`));
+        });
+        if (problems.length > 0) {
+            throw new PackImportError(problems);
+        }
+
+        const levels = pack.levels.map(level => {
+            if (level.solution.length > 0) return level;
+
+            // Solved on the main thread, so each level gets a small budget
+            const result = Solver.solve(level, { maxSolutions: 1, maxNodes: 50000 });
+            if (result.count === 0) {
+                problems.push(result.aborted
+                    ? `level ${level.id}: level could not be verified (add a stored solution)`
+                    : `level ${level.id}: level has no solution`);
+            }
+            return result.count > 0
+                ? { ...level, solution: Solver.toSegments(result.solutions[0], level.points) }
+                : level;
+        });
+        if (problems.length > 0) {
+            throw new PackImportError(problems);
+        }
+
+        const imported = { ...pack, levels };
+        const existing = this.customPacks.findIndex(p => p.packId === pack.packId);
+        const customPacks = existing === -1
+            ? [...this.customPacks, imported]
+            : this.customPacks.map((p, i) => (i === existing ? imported : p));
+        if (!Storage.set(STORAGE_KEYS.CUSTOM_PACKS, customPacks)) {
+            throw new PackImportError(['pack could not be saved (browser storage may be full)']);
+        }
+        this.customPacks = customPacks;
+
+        this.packs = [...this.packs.filter(p => !p.custom), ...customPacks.map(p => ({ ...p, custom: true }))];
+        return this.packs.findIndex(p => p.packId === pack.packId);
+    }
+
+    /**
+     * Remove an imported pack
+     * @param {string} packId
+     */
+    removeCustomPack(packId) {
+        this.customPacks = this.customPacks.filter(p => p.packId !== packId);
+        Storage.set(STORAGE_KEYS.CUSTOM_PACKS, this.customPacks);
+
+        // Indices after the removed pack shift, so look the position up again
+        const current = this._currentIds();
+        this.packs = this.packs.filter(p => !p.custom || p.packId !== packId);
+        if (!this._restorePosition(current)) {
+            this.setCurrentLevel(0, 0);
         }
     }
 
@@ -104,10 +291,12 @@ export class LevelManager {
         const obstaclePercent = size <= 6 ? 0 : (size <= 8 ? 5 : (size <= 10 ? 8 : 10));
 
         for (let i = 0; i < count; i++) {
+            // Fixed seeds keep the built-in levels identical across reloads
             const level = LevelGenerator.generate({
                 size: size,
                 numPoints: numPoints,
-                obstaclePercent: obstaclePercent
+                obstaclePercent: obstaclePercent,
+                seed: `pack-${size}-level-${i + 1}`
             });
 
             if (level) {
@@ -120,6 +309,48 @@ export class LevelManager {
         return levels;
     }
 
+    /**
+     * Check whether a pack's unlock requirement is met
+     * A requirement naming a pack that is not loaded is ignored, so a
+     * missing file never locks players out
+     * @param {number} packIndex
+     * @returns {boolean}
+     */
+    isPackUnlocked(packIndex) {
+        const unlock = this.packs[packIndex]?.unlock;
+        if (!unlock) return true;
+
+        const requiredIndex = this.packs.findIndex(p => p.packId === unlock.pack);
+        if (requiredIndex === -1) return true;
+
+        return this.getCompletedCount(requiredIndex) >= unlock.levels;
+    }
+
+    /**
+     * Describe what is needed to unlock a pack
+     * @param {number} packIndex
+     * @returns {string} Empty if the pack is unlocked
+     */
+    getUnlockText(packIndex) {
+        if (this.isPackUnlocked(packIndex)) return '';
+
+        const { unlock, packName } = this.packs[packIndex];
+        const requiredIndex = this.packs.findIndex(p => p.packId === unlock.pack);
+        const remaining = unlock.levels - this.getCompletedCount(requiredIndex);
+        return `Complete ${remaining} more ${this.packs[requiredIndex].packName} ` +
+            `level${remaining === 1 ? '' : 's'} to unlock ${packName}.`;
+    }
+
+    /**
+     * Count the completed levels in a pack
+     * @param {number} packIndex
+     * @returns {number}
+     */
+    getCompletedCount(packIndex) {
+        const levels = this.packs[packIndex]?.levels || [];
+        return levels.filter((_, levelIndex) => this.isLevelCompleted(packIndex, levelIndex)).length;
+    }
+
     /**
      * Get a specific level
      * @param {number} packIndex
@@ -145,6 +376,7 @@ export class LevelManager {
 
     /**
      * Move to next level
+     * Stops at the end of a pack if the next pack is still locked
      * @returns {Object|null}
      */
     getNextLevel() {
@@ -152,7 +384,8 @@ export class LevelManager {
 
         if (this.currentLevelIndex + 1 < pack.levels.length) {
             this.currentLevelIndex++;
-        } else if (this.currentPackIndex + 1 < this.packs.length) {
+        } else if (this.currentPackIndex + 1 < this.packs.length &&
+            this.isPackUnlocked(this.currentPackIndex + 1)) {
             this.currentPackIndex++;
             this.currentLevelIndex = 0;
         } else {
@@ -178,20 +411,47 @@ export class LevelManager {
      * Save current position to storage
      */
     _saveCurrentPosition() {
-        Storage.set(STORAGE_KEYS.CURRENT_LEVEL, {
-            pack: this.currentPackIndex,
-            level: this.currentLevelIndex
-        });
+        Storage.set(STORAGE_KEYS.CURRENT_LEVEL, this._currentIds());
+    }
+
+    /**
+     * @returns {{packId: string, levelId: string}} Ids of the current level
+     */
+    _currentIds() {
+        return {
+            packId: this.packs[this.currentPackIndex]?.packId,
+            levelId: this.getCurrentLevel()?.id
+        };
+    }
+
+    /**
+     * Point the current position at a level by id
+     * @param {{packId: string, levelId: string}} ids
+     * @returns {boolean} Whether the level was found
+     */
+    _restorePosition({ packId, levelId }) {
+        const packIndex = this.packs.findIndex(p => p.packId === packId);
+        const levelIndex = packIndex === -1 ? -1 : this.packs[packIndex].levels.findIndex(l => l.id === levelId);
+        if (levelIndex === -1) return false;
+
+        this.currentPackIndex = packIndex;
+        this.currentLevelIndex = levelIndex;
+        return true;
     }
 
     /**
      * Load saved position
+     * Positions saved by index (older saves) are still accepted
      */
     loadSavedPosition() {
         const saved = Storage.get(STORAGE_KEYS.CURRENT_LEVEL);
-        if (saved) {
-            this.currentPackIndex = saved.pack || 0;
-            this.currentLevelIndex = saved.level || 0;
+        if (!saved || this._restorePosition(saved)) return;
+
+        const packIndex = saved.pack || 0;
+        const level = this._getLegacyLevel(packIndex, saved.level || 0);
+        if (level) {
+            this._restorePosition({ packId: LEGACY_PACK_IDS[packIndex], levelId: level.id });
+            this._saveCurrentPosition();
         }
     }
 
@@ -202,7 +462,9 @@ export class LevelManager {
      * @param {Object} stats
      */
     markLevelComplete(packIndex, levelIndex, stats) {
-        const key = `${packIndex}-${levelIndex}`;
+        const key = this._progressKey(packIndex, levelIndex);
+        if (!key) return;
+
         this.progress[key] = {
             completed: true,
             time: stats.time,
@@ -220,7 +482,7 @@ export class LevelManager {
      * @returns {boolean}
      */
     isLevelCompleted(packIndex, levelIndex) {
-        return !!this.progress[`${packIndex}-${levelIndex}`]?.completed;
+        return !!this.progress[this._progressKey(packIndex, levelIndex)]?.completed;
     }
 
     /**
@@ -230,52 +492,137 @@ export class LevelManager {
      * @returns {Object|null}
      */
     getLevelStats(packIndex, levelIndex) {
-        return this.progress[`${packIndex}-${levelIndex}`];
+        return this.progress[this._progressKey(packIndex, levelIndex)];
+    }
+
+    /**
+     * Get the generation settings for a day's puzzle
+     * Everything is derived from the date alone (no screen size or random
+     * shape), so every player gets the same board on the same day
+     * @param {string} date - YYYY-MM-DD (UTC), defaults to today
+     * @returns {{date: string, difficulty: string, options: Object}}
+     */
+    getDailySettings(date = getTodayString()) {
+        const difficulty = DAILY_ROTATION[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        const preset = LevelGenerator.getPresets()[difficulty];
+
+        return {
+            date,
+            difficulty,
+            options: {
+                size: preset.size,
+                numPoints: preset.numPoints,
+                obstaclePercent: preset.obstaclePercent,
+                wallPercent: preset.wallPercent,
+                unique: preset.unique,
+                seed: `daily-${date}`
+            }
+        };
     }
 
     /**
      * Get daily puzzle
+     * @param {string} date - YYYY-MM-DD (UTC), defaults to today
      * @returns {Object}
      */
-    getDailyPuzzle() {
-        const today = getTodayString();
-        const hash = dateHash(today);
-
-        // Select a level based on the date hash
-        const allLevels = this.packs.flatMap(pack => pack.levels);
-        const index = hash % allLevels.length;
+    getDailyPuzzle(date = getTodayString()) {
+        const { options } = this.getDailySettings(date);
+        return this.toDailyLevel(LevelGenerator.generate(options), date);
+    }
 
-        const level = { ...allLevels[index] };
-        level.id = `daily-${today}`;
-        level.name = 'Daily Puzzle';
+    /**
+     * Turn a generated level into the daily puzzle for a date
+     * Falls back to a pack level picked by date hash if generation failed
+     * @param {Object|null} generated - Level from getDailySettings() options
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object}
+     */
+    toDailyLevel(generated, date) {
+        let level = generated;
+        if (!level) {
+            // Imported packs differ between players, so only built-in levels are used
+            const allLevels = this.packs.filter(pack => !pack.custom).flatMap(pack => pack.levels);
+            level = allLevels[dateHash(date) % allLevels.length];
+        }
 
-        return level;
+        return {
+            ...level,
+            id: `daily-${date}`,
+            name: 'Daily Puzzle',
+            date
+        };
     }
 
     /**
      * Check if daily puzzle is completed
+     * @param {string} date - YYYY-MM-DD, defaults to today
      * @returns {boolean}
      */
-    isDailyCompleted() {
-        const today = getTodayString();
-        return !!this.dailyStatus[today]?.completed;
+    isDailyCompleted(date = getTodayString()) {
+        return !!this.dailyStatus[date]?.completed;
+    }
+
+    /**
+     * Get the stored result for a daily puzzle
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{completed: boolean, time: number, completedAt: string}|null}
+     */
+    getDailyResult(date) {
+        return this.dailyStatus[date] || null;
     }
 
     /**
      * Mark daily puzzle as complete
+     * Replaying a finished day only improves its time
      * @param {Object} stats
+     * @param {string} date - YYYY-MM-DD of the puzzle, defaults to today
      */
-    markDailyComplete(stats) {
-        const today = getTodayString();
-        this.dailyStatus[today] = {
-            completed: true,
-            time: stats.time,
-            completedAt: new Date().toISOString()
-        };
+    markDailyComplete(stats, date = getTodayString()) {
+        const previous = this.dailyStatus[date];
+        this.dailyStatus[date] = previous?.completed
+            ? { ...previous, time: Math.min(previous.time, stats.time) }
+            : {
+                completed: true,
+                time: stats.time,
+                completedAt: new Date().toISOString()
+            };
 
         Storage.set(STORAGE_KEYS.DAILY_COMPLETED, this.dailyStatus);
     }
 
+    /**
+     * Get the current and longest daily streaks
+     * Only puzzles solved on their own day count; catching up on a missed
+     * day from the archive marks it completed but does not mend a streak.
+     * The current streak stays alive until today's puzzle is missed
+     * @param {string} today - YYYY-MM-DD, defaults to today
+     * @returns {{current: number, longest: number}}
+     */
+    getDailyStreaks(today = getTodayString()) {
+        const solvedOnDay = (date) => {
+            const result = this.dailyStatus[date];
+            return !!result?.completed && result.completedAt?.slice(0, 10) === date;
+        };
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        Object.keys(this.dailyStatus).filter(solvedOnDay).sort().forEach(date => {
+            run = previous && addDays(previous, 1) === date ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = date;
+        });
+
+        let current = 0;
+        let date = solvedOnDay(today) ? today : addDays(today, -1);
+        while (solvedOnDay(date)) {
+            current++;
+            date = addDays(date, -1);
+        }
+
+        return { current, longest };
+    }
+
     /**
      * Get total levels count
      * @returns {number}
@@ -0,0 +1,310 @@
+// =============================================
+// AMAZEING - Level Pack Format
+// =============================================
+
+/**
+ * Current level pack format (described by data/schema/pack.schema.json)
+ * 1: no formatVersion field; levels may omit obstacles and solution and
+ *    take their size from the pack's gridSize
+ * 2: formatVersion field; every level has its own size (or rows/cols)
+ *    and lists obstacles, walls and solution
+ */
+export const LEVEL_FORMAT_VERSION = 2;
+
+/**
+ * Raised when a pack cannot be migrated or does not match the schema
+ */
+export class LevelSchemaError extends Error {
+    /**
+     * @param {Array<string>} problems - One message per problem found
+     */
+    constructor(problems) {
+        super(problems.join('; '));
+        this.name = 'LevelSchemaError';
+        this.problems = problems;
+    }
+}
+
+// Upgrade steps, keyed by the version they upgrade from
+const MIGRATIONS = {
+    1: (pack) => ({
+        ...pack,
+        levels: (pack.levels || []).map(level => ({
+            ...(level.size === undefined && level.rows === undefined && pack.gridSize !== undefined
+                ? { size: pack.gridSize }
+                : {}),
+            ...level,
+            obstacles: level.obstacles || [],
+            walls: level.walls || [],
+            solution: level.solution || []
+        }))
+    })
+};
+
+const TOPOLOGIES = ['square', 'hex'];
+const MIN_DIMENSION = 2;
+const MAX_DIMENSION = 30;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isInteger = (value, min = -Infinity, max = Infinity) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * LevelSchema - Migrates level packs to the current format and checks
+ * the structure of packs and the pack manifest before the game uses them
+ */
+export class LevelSchema {
+    /**
+     * Migrate and validate a parsed pack file
+     * @param {*} data - Parsed JSON
+     * @returns {Object} Pack in the current format
+     * @throws {LevelSchemaError}
+     */
+    static parsePack(data) {
+        if (!isObject(data)) {
+            throw new LevelSchemaError(['pack must be a JSON object']);
+        }
+
+        const pack = this.migrate(data);
+        const problems = this.validatePack(pack);
+        if (problems.length > 0) {
+            throw new LevelSchemaError(problems);
+        }
+
+        return pack;
+    }
+
+    /**
+     * Check a parsed manifest (data/schema/manifest.schema.json)
+     * @param {*} data - Parsed JSON
+     * @returns {Array<Object>} Pack entries sorted by order
+     * @throws {LevelSchemaError}
+     */
+    static parseManifest(data) {
+        if (!isObject(data) || !Array.isArray(data.packs)) {
+            throw new LevelSchemaError(['manifest must be an object with a packs array']);
+        }
+
+        const problems = [];
+        const ids = new Set();
+        data.packs.forEach((entry, index) => {
+            const label = isObject(entry) && typeof entry.id === 'string' ? entry.id : `#${index + 1}`;
+            const problem = (message) => problems.push(`pack ${label}: ${message}`);
+
+            if (!isObject(entry)) {
+                problem('must be an object');
+                return;
+            }
+            ['id', 'name', 'file'].forEach(key => {
+                if (typeof entry[key] !== 'string' || entry[key] === '') problem(`${key} must be a non-empty string`);
+            });
+            if (typeof entry.file === 'string' && !/^[\w.-]+\.json$/.test(entry.file)) {
+                problem('file must be a .json file name in data/levels');
+            }
+            if (ids.has(entry.id)) problem('id is used twice');
+            ids.add(entry.id);
+
+            if (entry.gridSize !== undefined && !isInteger(entry.gridSize, MIN_DIMENSION, MAX_DIMENSION)) {
+                problem(`gridSize must be an integer from ${MIN_DIMENSION} to ${MAX_DIMENSION}`);
+            }
+            if (entry.order !== undefined && typeof entry.order !== 'number') {
+                problem('order must be a number');
+            }
+            if (entry.icon !== undefined && typeof entry.icon !== 'string') {
+                problem('icon must be a string');
+            }
+            if (entry.unlock !== undefined &&
+                (!isObject(entry.unlock) || typeof entry.unlock.pack !== 'string' || !isInteger(entry.unlock.levels, 1))) {
+                problem('unlock must have a pack id and a positive levels count');
+            }
+        });
+
+        if (problems.length > 0) {
+            throw new LevelSchemaError(problems);
+        }
+
+        // Entries without an order go last, in file order
+        const order = (entry) => entry.order ?? Number.MAX_VALUE;
+        return [...data.packs].sort((a, b) => order(a) - order(b));
+    }
+
+    /**
+     * Bring a pack up to LEVEL_FORMAT_VERSION
+     * @param {Object} data
+     * @returns {Object} A migrated copy (or the pack itself if already current)
+     * @throws {LevelSchemaError} For unknown or newer versions
+     */
+    static migrate(data) {
+        let version = data.formatVersion === undefined ? 1 : data.formatVersion;
+
+        if (!isInteger(version, 1)) {
+            throw new LevelSchemaError([`unknown formatVersion ${JSON.stringify(version)}`]);
+        }
+        if (version > LEVEL_FORMAT_VERSION) {
+            throw new LevelSchemaError([
+                `formatVersion ${version} is newer than this game supports (${LEVEL_FORMAT_VERSION})`
+            ]);
+        }
+
+        let pack = data;
+        for (; version < LEVEL_FORMAT_VERSION; version++) {
+            pack = { ...MIGRATIONS[version](pack), formatVersion: version + 1 };
+        }
+
+        return pack;
+    }
+
+    /**
+     * Check a pack in the current format against the schema
+     * @param {Object} pack
+     * @returns {Array<string>} Problems, empty if the pack is valid
+     */
+    static validatePack(pack) {
+        const problems = [];
+
+        if (pack.formatVersion !== LEVEL_FORMAT_VERSION) {
+            problems.push(`formatVersion must be ${LEVEL_FORMAT_VERSION}`);
+        }
+        if (typeof pack.packId !== 'string' || pack.packId === '') {
+            problems.push('packId must be a non-empty string');
+        }
+        if (typeof pack.packName !== 'string' || pack.packName === '') {
+            problems.push('packName must be a non-empty string');
+        }
+        if (pack.gridSize !== undefined && !isInteger(pack.gridSize, MIN_DIMENSION, MAX_DIMENSION)) {
+            problems.push(`gridSize must be an integer from ${MIN_DIMENSION} to ${MAX_DIMENSION}`);
+        }
+
+        if (!Array.isArray(pack.levels)) {
+            problems.push('levels must be an array');
+            return problems;
+        }
+
+        pack.levels.forEach((level, index) => {
+            const label = isObject(level) && typeof level.id === 'string' ? level.id : `#${index + 1}`;
+            this.validateLevel(level).forEach(problem => problems.push(`level ${label}: ${problem}`));
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check a single level against the schema
+     * Only structure is checked here; bounds, numbering and solution
+     * consistency are LevelValidator's job
+     * @param {Object} level
+     * @returns {Array<string>} Problems, empty if the level is valid
+     */
+    static validateLevel(level) {
+        const problems = [];
+        if (!isObject(level)) {
+            return ['must be an object'];
+        }
+
+        if (typeof level.id !== 'string' || level.id === '') {
+            problems.push('id must be a non-empty string');
+        }
+        if (typeof level.name !== 'string') {
+            problems.push('name must be a string');
+        }
+
+        // Either a square `size` or separate `rows` and `cols`
+        const dimension = (key) => {
+            if (!isInteger(level[key], MIN_DIMENSION, MAX_DIMENSION)) {
+                problems.push(`${key} must be an integer from ${MIN_DIMENSION} to ${MAX_DIMENSION}`);
+            }
+        };
+        if (level.size !== undefined) {
+            dimension('size');
+            if (level.rows !== undefined || level.cols !== undefined) {
+                problems.push('use either size or rows/cols, not both');
+            }
+        } else if (level.rows !== undefined || level.cols !== undefined) {
+            dimension('rows');
+            dimension('cols');
+        } else {
+            problems.push('needs size or rows/cols');
+        }
+
+        if (level.topology !== undefined && !TOPOLOGIES.includes(level.topology)) {
+            problems.push(`topology must be one of ${TOPOLOGIES.join(', ')}`);
+        }
+        if (level.theme !== undefined && typeof level.theme !== 'string') {
+            problems.push('theme must be a string');
+        }
+        if (level.difficulty !== undefined && level.difficulty !== null && !isInteger(level.difficulty, 1, 10)) {
+            problems.push('difficulty must be an integer from 1 to 10 or null');
+        }
+
+        this._checkArray(level, 'points', problems, (point, label) => {
+            if (!isObject(point) || !isInteger(point.number, 1)) {
+                return `${label}.number must be a positive integer`;
+            }
+            return this._positionProblem(point, label);
+        });
+        if (Array.isArray(level.points) && level.points.length < 2) {
+            problems.push('points must have at least 2 entries');
+        }
+
+        this._checkArray(level, 'obstacles', problems, (obstacle, label) =>
+            this._positionProblem(obstacle, label)
+        );
+
+        this._checkArray(level, 'walls', problems, (wall, label) => {
+            if (!isObject(wall)) return `${label} must be an object`;
+            return this._positionProblem(wall.from, `${label}.from`) ||
+                this._positionProblem(wall.to, `${label}.to`);
+        });
+
+        if (level.mask !== undefined) {
+            this._checkArray(level, 'mask', problems, (line, label) =>
+                (typeof line === 'string' && /^[#.]+$/.test(line)) ? null : `${label} must be a string of '#' and '.'`
+            );
+        }
+
+        this._checkArray(level, 'solution', problems, (segment, label) => {
+            if (!isObject(segment)) return `${label} must be an object`;
+            if (!isInteger(segment.from, 1) || !isInteger(segment.to, 2)) {
+                return `${label} must have integer from/to point numbers`;
+            }
+            if (!Array.isArray(segment.path) || segment.path.length < 2) {
+                return `${label}.path must list at least 2 cells`;
+            }
+            for (let i = 0; i < segment.path.length; i++) {
+                const problem = this._positionProblem(segment.path[i], `${label}.path[${i}]`);
+                if (problem) return problem;
+            }
+            return null;
+        });
+
+        return problems;
+    }
+
+    /**
+     * Require an array field and check each of its entries
+     * @private
+     * @param {Function} check - (entry, label) => problem string or null
+     */
+    static _checkArray(level, key, problems, check) {
+        if (!Array.isArray(level[key])) {
+            problems.push(`${key} must be an array`);
+            return;
+        }
+
+        level[key].forEach((entry, index) => {
+            const problem = check(entry, `${key}[${index}]`);
+            if (problem) problems.push(problem);
+        });
+    }
+
+    /**
+     * @private
+     * @returns {string|null} Problem with a {row, col} value, if any
+     */
+    static _positionProblem(position, label) {
+        if (!isObject(position) || !isInteger(position.row, 0) || !isInteger(position.col, 0)) {
+            return `${label} must have non-negative integer row and col`;
+        }
+        return null;
+    }
+}
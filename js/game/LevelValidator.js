@@ -0,0 +1,224 @@
+// =============================================
+// AMAZEING - Level Validator
+// =============================================
+
+import { areAdjacent, getGridDimensions, wallKey } from '../utils/Helpers.js';
+import { Solver } from './Solver.js';
+
+/**
+ * LevelValidator - Consistency checks for level data
+ * Used by tools/validate-levels.mjs to check the shipped packs
+ */
+export class LevelValidator {
+    /**
+     * Check a level's points, obstacles, walls and stored solution
+     * @param {Object} levelData
+     * @param {Object} options
+     * @param {boolean} options.checkSolvable - Search for a solution when none is stored
+     * @returns {{errors: Array<string>, warnings: Array<string>}}
+     */
+    static validate(levelData, options = {}) {
+        const { checkSolvable = true } = options;
+        const errors = [];
+        const warnings = [];
+
+        const { rows, cols } = getGridDimensions(levelData);
+        if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1) {
+            errors.push(`invalid board size ${rows}x${cols}`);
+            return { errors, warnings };
+        }
+
+        const topology = levelData.topology || 'square';
+        const inBounds = ({ row, col }) =>
+            Number.isInteger(row) && Number.isInteger(col) && row >= 0 && row < rows && col >= 0 && col < cols;
+        const cell = ({ row, col }) => `(${row}, ${col})`;
+
+        // Obstacles
+        const obstacles = new Set();
+        (levelData.obstacles || []).forEach(obstacle => {
+            const key = `${obstacle.row},${obstacle.col}`;
+            if (!inBounds(obstacle)) {
+                errors.push(`obstacle at ${cell(obstacle)} is out of bounds`);
+            } else if (obstacles.has(key)) {
+                errors.push(`obstacle at ${cell(obstacle)} is listed twice`);
+            }
+            obstacles.add(key);
+        });
+
+        // Points: numbered 1..N, in bounds, on distinct open cells
+        const points = levelData.points || [];
+        const pointsByNumber = new Map();
+        const pointCells = new Map();
+        if (points.length < 2) {
+            errors.push(`needs at least 2 points, has ${points.length}`);
+        }
+        points.forEach(point => {
+            const key = `${point.row},${point.col}`;
+            if (pointsByNumber.has(point.number)) {
+                errors.push(`point number ${point.number} is used twice`);
+            }
+            pointsByNumber.set(point.number, point);
+
+            if (!inBounds(point)) {
+                errors.push(`point ${point.number} at ${cell(point)} is out of bounds`);
+            } else if (obstacles.has(key)) {
+                errors.push(`point ${point.number} at ${cell(point)} is on an obstacle`);
+            } else if (pointCells.has(key)) {
+                errors.push(`points ${pointCells.get(key)} and ${point.number} share ${cell(point)}`);
+            }
+            pointCells.set(key, point.number);
+        });
+        for (let number = 1; number <= points.length; number++) {
+            if (!pointsByNumber.has(number)) {
+                errors.push(`points must be numbered 1..${points.length}, but ${number} is missing`);
+            }
+        }
+
+        // Walls: between two adjacent cells on the board
+        const walls = new Set();
+        (levelData.walls || []).forEach(({ from, to }) => {
+            if (!inBounds(from) || !inBounds(to)) {
+                errors.push(`wall ${cell(from)}-${cell(to)} is out of bounds`);
+            } else if (!areAdjacent(from, to, topology)) {
+                errors.push(`wall ${cell(from)}-${cell(to)} is not between adjacent cells`);
+            }
+            walls.add(wallKey(from, to));
+        });
+
+        // A broken layout makes solution checks meaningless
+        if (errors.length > 0) {
+            return { errors, warnings };
+        }
+
+        const solution = levelData.solution || [];
+        if (solution.length === 0) {
+            warnings.push('no stored solution');
+
+            if (checkSolvable) {
+                const result = Solver.solve(levelData, { maxSolutions: 1 });
+                if (result.count === 0 && !result.aborted) {
+                    errors.push('level has no solution');
+                } else if (result.count === 0) {
+                    warnings.push(`solver gave up after ${result.nodes} nodes`);
+                }
+            }
+            return { errors, warnings };
+        }
+
+        this._validateSolution(solution, {
+            rows, cols, topology, obstacles, walls, pointsByNumber, inBounds, cell
+        }, errors);
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Check a pack's levels and that their ids are unique
+     * @param {Object} pack - Pack JSON with a levels array
+     * @param {Object} options - See validate()
+     * @returns {Array<{id: string, errors: Array<string>, warnings: Array<string>}>}
+     */
+    static validatePack(pack, options = {}) {
+        const seen = new Set();
+
+        return (pack.levels || []).map((level, index) => {
+            const id = level.id || `#${index + 1}`;
+            const { errors, warnings } = this.validate(level, options);
+
+            if (seen.has(id)) {
+                errors.unshift(`level id ${id} is used twice`);
+            }
+            seen.add(id);
+
+            return { id, errors, warnings };
+        });
+    }
+
+    /**
+     * Check that the solution segments join the points in order through
+     * adjacent cells and cover every open cell exactly once
+     * @private
+     */
+    static _validateSolution(solution, board, errors) {
+        const { rows, cols, topology, obstacles, walls, pointsByNumber, inBounds, cell } = board;
+        const atPoint = (pos, number) => {
+            const point = pointsByNumber.get(number);
+            return !!pos && pos.row === point.row && pos.col === point.col;
+        };
+
+        const segments = [...solution].sort((a, b) => a.from - b.from);
+        const visits = new Map();
+
+        for (let number = 1; number < pointsByNumber.size; number++) {
+            const matching = segments.filter(s => s.from === number);
+            if (matching.length === 0) {
+                errors.push(`solution has no segment from ${number} to ${number + 1}`);
+            } else if (matching.length > 1) {
+                errors.push(`solution has ${matching.length} segments from ${number}`);
+            }
+        }
+
+        segments.forEach((segment, index) => {
+            const { from, to } = segment;
+            const path = segment.path || [];
+            const label = `solution segment ${from}→${to}`;
+
+            if (to !== from + 1 || !pointsByNumber.has(from) || !pointsByNumber.has(to)) {
+                errors.push(`${label} does not join consecutive points`);
+                return;
+            }
+            if (!atPoint(path[0], from)) {
+                errors.push(`${label} does not start at point ${from}`);
+            }
+            if (!atPoint(path[path.length - 1], to)) {
+                errors.push(`${label} does not end at point ${to}`);
+            }
+
+            path.forEach((pos, i) => {
+                if (!inBounds(pos)) {
+                    errors.push(`${label} leaves the board at ${cell(pos)}`);
+                    return;
+                }
+                if (obstacles.has(`${pos.row},${pos.col}`)) {
+                    errors.push(`${label} crosses the obstacle at ${cell(pos)}`);
+                }
+
+                if (i > 0) {
+                    const prev = path[i - 1];
+                    if (!areAdjacent(prev, pos, topology)) {
+                        errors.push(`${label} jumps from ${cell(prev)} to ${cell(pos)}`);
+                    } else if (walls.has(wallKey(prev, pos))) {
+                        errors.push(`${label} crosses the wall between ${cell(prev)} and ${cell(pos)}`);
+                    }
+                }
+
+                // Segments share their joining point, so it is only counted once
+                if (i > 0 || index === 0) {
+                    const key = `${pos.row},${pos.col}`;
+                    visits.set(key, (visits.get(key) || 0) + 1);
+                }
+            });
+        });
+
+        const uncovered = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const key = `${row},${col}`;
+                const count = visits.get(key) || 0;
+                if (obstacles.has(key)) continue;
+
+                if (count === 0) {
+                    uncovered.push(cell({ row, col }));
+                } else if (count > 1) {
+                    errors.push(`solution covers ${cell({ row, col })} ${count} times`);
+                }
+            }
+        }
+
+        if (uncovered.length > 0) {
+            const listed = uncovered.slice(0, 5).join(', ');
+            const more = uncovered.length > 5 ? ` and ${uncovered.length - 5} more` : '';
+            errors.push(`solution misses ${uncovered.length} cell(s): ${listed}${more}`);
+        }
+    }
+}
@@ -3,7 +3,7 @@
 // =============================================
 
 import { gameState } from './GameState.js';
-import { areAdjacent, posEquals } from '../utils/Helpers.js';
+import { posEquals } from '../utils/Helpers.js';
 
 /**
  * PathManager - Handles path creation, validation, and manipulation
@@ -21,11 +21,39 @@ export class PathManager {
      * Attempt to start a new path
      * @param {number} row
      * @param {number} col
-     * @returns {{success: boolean, reason?: string}}
+     * @returns {{success: boolean, resumed?: boolean, reopened?: boolean, reason?: string}}
      */
     tryStartPath(row, col) {
-        // Can only start from a numbered point
+        // A path left unfinished by undo is picked up from any of its cells
+        if (gameState.currentPath) {
+            const index = gameState.findInCurrentPath(row, col);
+            if (index === -1) {
+                return { success: false, reason: 'already_drawing' };
+            }
+            if (index < gameState.currentPath.cells.length - 1) {
+                gameState.currentPath.cells.slice(index + 1).forEach(cell => {
+                    this.grid.releaseCell(cell.row, cell.col);
+                });
+                gameState.truncatePath(index);
+            }
+            return { success: true, resumed: true };
+        }
+
         const point = this.grid.getPointAt(row, col);
+
+        // Pressing a completed path reopens it from that cell, taking it and
+        // every later path off the board (releasing without dragging erases it).
+        // No path starts from the final point, so pressing it reopens too
+        if (point !== gameState.currentNumber || point === gameState.totalPoints) {
+            const completed = this._findCompletedCell(row, col);
+            if (completed) {
+                gameState.reopenPath(completed.number, completed.index);
+                this._rebuildGrid();
+                return { success: true, reopened: true };
+            }
+        }
+
+        // Otherwise paths start from a numbered point
         if (!point) {
             return { success: false, reason: 'not_a_point' };
         }
@@ -35,11 +63,6 @@ export class PathManager {
             return { success: false, reason: 'wrong_point' };
         }
 
-        // Check if already drawing
-        if (gameState.currentPath) {
-            return { success: false, reason: 'already_drawing' };
-        }
-
         // Start the path
         gameState.startPath(row, col, point);
         this.grid.occupyCell(row, col, point);
@@ -68,11 +91,16 @@ export class PathManager {
             return { success: false, reason: 'same_cell' };
         }
 
-        // Check adjacency (must be horizontal/vertical)
-        if (!areAdjacent(pathEnd, { row, col })) {
+        // Check adjacency (horizontal/vertical, or the six hex sides)
+        if (!this.grid.areAdjacent(pathEnd, { row, col })) {
             return { success: false, reason: 'not_adjacent' };
         }
 
+        // Check for a wall between the cells
+        if (this.grid.hasWall(pathEnd, { row, col })) {
+            return { success: false, reason: 'wall' };
+        }
+
         // Check if backtracking (going back along current path)
         const existingIndex = gameState.findInCurrentPath(row, col);
         if (existingIndex !== -1) {
@@ -123,29 +151,35 @@ export class PathManager {
     cancelPath() {
         if (!gameState.currentPath) return;
 
-        // Release cells (except starting point which is a number)
-        gameState.currentPath.cells.forEach((cell, index) => {
-            if (index > 0) {
-                this.grid.releaseCell(cell.row, cell.col);
-            }
-        });
-
         gameState.cancelPath();
+        this._rebuildGrid();
     }
 
     /**
-     * Undo the last completed path
+     * Undo the last path move
      * @returns {boolean} Success
      */
     undo() {
-        if (!gameState.canUndo()) return false;
+        return this.seekHistory(gameState.historyIndex - 1);
+    }
+
+    /**
+     * Redo the last undone path move
+     * @returns {boolean} Success
+     */
+    redo() {
+        return this.seekHistory(gameState.historyIndex + 1);
+    }
 
-        const success = gameState.undo();
+    /**
+     * Jump to a point in the move history
+     * @param {number} index - Number of moves to have applied
+     * @returns {boolean} Success
+     */
+    seekHistory(index) {
+        const success = gameState.seekHistory(index);
         if (success) {
-            // Rebuild grid state from remaining paths
-            this.grid.reset();
-            this.grid.initializePoints(gameState.points);
-            this.grid.rebuildFromPaths(gameState.paths);
+            this._rebuildGrid();
         }
         return success;
     }
@@ -155,8 +189,49 @@ export class PathManager {
      */
     reset() {
         gameState.reset();
-        this.grid.reset();
-        this.grid.initializePoints(gameState.points);
+        this._reinitializeGrid();
+    }
+
+    /**
+     * Find the completed path a cell can reopen
+     * A path's end cell belongs to the path starting there, so it is skipped,
+     * except at the final point: that reopens the last path cut back to the
+     * cell before it, to be dragged on from there
+     * @param {number} row
+     * @param {number} col
+     * @returns {{number: number, index: number}|null}
+     */
+    _findCompletedCell(row, col) {
+        for (const path of gameState.paths) {
+            const index = path.cells.findIndex(cell => posEquals(cell, { row, col }));
+            if (index === -1) continue;
+
+            if (index < path.cells.length - 1) {
+                return { number: path.number, index };
+            }
+            if (path.number + 1 === gameState.totalPoints) {
+                return { number: path.number, index: index - 1 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rebuild grid occupancy from the paths, including one still being drawn
+     */
+    _rebuildGrid() {
+        this._reinitializeGrid();
+        this.grid.rebuildFromPaths(
+            gameState.currentPath ? [...gameState.paths, gameState.currentPath] : gameState.paths
+        );
+    }
+
+    /**
+     * Restore the grid to the level's initial points, obstacles and walls
+     */
+    _reinitializeGrid() {
+        const levelData = gameState.levelData || {};
+        this.grid.initializePoints(gameState.points, levelData.obstacles || [], levelData.walls || []);
     }
 
     /**
@@ -217,9 +292,10 @@ export class PathManager {
         const endPoint = this.grid.getPointAt(end.row, end.col);
         if (endPoint !== targetNumber) return false;
 
-        // Check path continuity (all cells adjacent)
+        // Check path continuity (all cells adjacent, no walls crossed)
         for (let i = 1; i < path.cells.length; i++) {
-            if (!areAdjacent(path.cells[i - 1], path.cells[i])) {
+            if (!this.grid.areAdjacent(path.cells[i - 1], path.cells[i]) ||
+                this.grid.hasWall(path.cells[i - 1], path.cells[i])) {
                 return false;
             }
         }
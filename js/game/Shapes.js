@@ -0,0 +1,93 @@
+// =============================================
+// AMAZEING - Board Shapes
+// =============================================
+
+/**
+ * Shape silhouettes for shaped boards. Each '#' stands for a 2x2 block of
+ * playable cells and '.' for a block outside the board. A connected set of
+ * 2x2 blocks always has a Hamiltonian cycle, so every shape stays fillable
+ */
+export const SHAPES = {
+    heart: [
+        '##.##',
+        '#####',
+        '.###.',
+        '..#..'
+    ],
+    rocket: [
+        '.##.',
+        '.##.',
+        '.##.',
+        '####',
+        '#..#'
+    ],
+    ship: [
+        '..#..',
+        '.##..',
+        '#####',
+        '.###.'
+    ]
+};
+
+/**
+ * Scale a shape to a board
+ * The shape is stretched over the whole board (rows and columns separately,
+ * rounded down to even): each row and column of blocks gets an even share,
+ * as equal as possible, so the shape fills the board instead of shrinking to
+ * the largest whole factor that fits
+ * @param {string} shapeId - Key of SHAPES
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Array<string>|null} One string per row ('#' playable, '.' outside),
+ *          or null for unknown shapes and boards too small for the shape
+ */
+export function getShapeMask(shapeId, rows, cols) {
+    const art = SHAPES[shapeId];
+    if (!art) return null;
+
+    const rowBands = splitEven(rows, art.length);
+    const colBands = splitEven(cols, art[0].length);
+    if (!rowBands || !colBands) return null;
+
+    return Array.from({ length: rows }, (_, row) => {
+        const line = art[rowBands[row]];
+        return Array.from({ length: cols }, (_, col) =>
+            line?.[colBands[col]] ?? '.'
+        ).join('');
+    });
+}
+
+/**
+ * Share a board side between blocks, each an even number of cells wide
+ * An odd side leaves its last cell outside every block
+ * @param {number} length - Cells along the side
+ * @param {number} blocks - Blocks along the side
+ * @returns {Array<number|undefined>|null} Block index for each cell, or null
+ *          when the side is too short for 2 cells per block
+ */
+function splitEven(length, blocks) {
+    const pairs = Math.floor(length / 2);
+    if (pairs < blocks) return null;
+
+    const index = [];
+    for (let block = 0; block < blocks; block++) {
+        const size = 2 * (Math.round((block + 1) * pairs / blocks) - Math.round(block * pairs / blocks));
+        for (let i = 0; i < size; i++) index.push(block);
+    }
+    return Array.from({ length }, (_, i) => index[i]);
+}
+
+/**
+ * List the cells a mask leaves outside the board
+ * @param {Array<string>} mask
+ * @returns {Array<{row: number, col: number}>}
+ */
+export function getMaskedCells(mask) {
+    const cells = [];
+    mask.forEach((line, row) => {
+        [...line].forEach((char, col) => {
+            if (char !== '#') cells.push({ row, col });
+        });
+    });
+    return cells;
+}
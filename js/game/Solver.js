@@ -0,0 +1,556 @@
+// =============================================
+// AMAZEING - Puzzle Solver
+// =============================================
+
+import { getGridDimensions, getNeighborOffsets, wallKey } from '../utils/Helpers.js';
+
+/**
+ * Solver - Exhaustive search for level solutions
+ * A solution is a single path from point 1 to point N that passes the
+ * numbered points in order and fills every non-obstacle cell exactly once
+ */
+export class Solver {
+    /**
+     * Search for solutions of a level
+     * @param {Object} levelData - Level with size (or rows/cols), points, obstacles and walls
+     * @param {Object} options
+     * @param {number} options.maxSolutions - Stop after this many solutions
+     * @param {number} options.maxNodes - Give up after visiting this many search nodes
+     * @returns {{solutions: Array<Array<{row: number, col: number}>>, count: number, aborted: boolean, nodes: number}}
+     */
+    static solve(levelData, options = {}) {
+        const {
+            maxSolutions = Infinity,
+            maxNodes = 2000000
+        } = options;
+
+        const result = { solutions: [], count: 0, aborted: false, nodes: 0 };
+
+        const board = this._buildBoard(levelData);
+        if (!board) {
+            return result;
+        }
+
+        const state = {
+            board,
+            visited: new Uint8Array(board.cellCount),
+            remaining: [...board.colorCounts],
+            visitedCount: 0,
+            path: [],
+            maxSolutions,
+            maxNodes,
+            result
+        };
+
+        const start = board.pointCells[1];
+        this._visit(state, start);
+        if (this._isViable(state, start, 2)) {
+            this._search(state, start, 2);
+        }
+
+        return result;
+    }
+
+    /**
+     * Count solutions, stopping once the limit is reached
+     * @param {Object} levelData
+     * @param {number} limit
+     * @returns {number}
+     */
+    static countSolutions(levelData, limit = 2) {
+        return this.solve(levelData, { maxSolutions: limit }).count;
+    }
+
+    /**
+     * Check if a level has at least one solution
+     * @param {Object} levelData
+     * @returns {boolean}
+     */
+    static isSolvable(levelData) {
+        return this.solve(levelData, { maxSolutions: 1 }).count > 0;
+    }
+
+    /**
+     * Check if a level has exactly one solution
+     * Returns false when the search budget runs out before uniqueness is proven
+     * @param {Object} levelData
+     * @returns {boolean}
+     */
+    static hasUniqueSolution(levelData) {
+        const result = this.solve(levelData, { maxSolutions: 2 });
+        return result.count === 1 && !result.aborted;
+    }
+
+    /**
+     * Replay a solution and measure how much choice a player has along it
+     * A step is forced when pruning leaves only one viable move
+     * @param {Object} levelData
+     * @param {Array<{row: number, col: number}>} path - Full solution path
+     * @returns {{steps: number, forcedMoves: number, branching: number}|null}
+     */
+    static analyze(levelData, path) {
+        const board = this._buildBoard(levelData);
+        if (!board || !path || path.length < 2) return null;
+
+        const state = {
+            board,
+            visited: new Uint8Array(board.cellCount),
+            remaining: [...board.colorCounts],
+            visitedCount: 0,
+            path: []
+        };
+
+        let target = 2;
+        let forcedMoves = 0;
+        let totalMoves = 0;
+
+        this._visit(state, path[0].row * board.cols + path[0].col);
+
+        for (let i = 1; i < path.length; i++) {
+            const head = state.path[state.path.length - 1];
+            const cell = path[i].row * board.cols + path[i].col;
+            const moves = this._viableMoves(state, head, target);
+
+            if (!moves.some(move => move.cell === cell)) return null;
+
+            totalMoves += moves.length;
+            if (moves.length === 1) forcedMoves++;
+
+            this._visit(state, cell);
+            if (board.pointAt[cell]) target++;
+        }
+
+        const steps = path.length - 1;
+        return { steps, forcedMoves, branching: totalMoves / steps };
+    }
+
+    /**
+     * Split a full solution path into per-connection segments (pack JSON format)
+     * @param {Array<{row: number, col: number}>} path
+     * @param {Array<{number: number, row: number, col: number}>} points
+     * @returns {Array<{from: number, to: number, path: Array}>}
+     */
+    static toSegments(path, points) {
+        const sorted = [...points].sort((a, b) => a.number - b.number);
+        const indices = sorted.map(point =>
+            path.findIndex(p => p.row === point.row && p.col === point.col)
+        );
+
+        const segments = [];
+        for (let i = 0; i < sorted.length - 1; i++) {
+            segments.push({
+                from: sorted[i].number,
+                to: sorted[i + 1].number,
+                path: path.slice(indices[i], indices[i + 1] + 1)
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Join per-connection segments back into one full path
+     * @param {Array<{from: number, to: number, path: Array}>} segments
+     * @returns {Array<{row: number, col: number}>}
+     */
+    static toPath(segments) {
+        const sorted = [...segments].sort((a, b) => a.from - b.from);
+        return sorted.flatMap((segment, i) => (i === 0 ? segment.path : segment.path.slice(1)));
+    }
+
+    /**
+     * Build a flat board representation for fast searching
+     * @private
+     * @returns {Object|null} Board or null if the level data is malformed
+     */
+    static _buildBoard(levelData) {
+        const { rows, cols } = getGridDimensions(levelData);
+        const topology = levelData.topology || 'square';
+        const cellCount = rows * cols;
+        const points = levelData.points || [];
+        const lastNumber = points.length;
+
+        if (lastNumber < 2) return null;
+
+        const open = new Uint8Array(cellCount).fill(1);
+        for (const o of levelData.obstacles || []) {
+            if (o.row < 0 || o.row >= rows || o.col < 0 || o.col >= cols) return null;
+            open[o.row * cols + o.col] = 0;
+        }
+
+        // Point number per cell and cell per point number
+        const pointAt = new Int32Array(cellCount);
+        const pointCells = new Int32Array(lastNumber + 1).fill(-1);
+        for (const p of points) {
+            if (p.row < 0 || p.row >= rows || p.col < 0 || p.col >= cols) return null;
+            if (p.number < 1 || p.number > lastNumber) return null;
+
+            const index = p.row * cols + p.col;
+            if (!open[index] || pointAt[index] || pointCells[p.number] !== -1) return null;
+
+            pointAt[index] = p.number;
+            pointCells[p.number] = index;
+        }
+
+        const walls = new Set((levelData.walls || []).map(w => wallKey(w.from, w.to)));
+
+        const neighbors = [];
+        const color = new Uint8Array(cellCount);
+        const colorCounts = [0, 0];
+        let openCount = 0;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const index = row * cols + col;
+                neighbors[index] = [];
+                if (!open[index]) continue;
+
+                color[index] = (row + col) & 1;
+                colorCounts[color[index]]++;
+                openCount++;
+
+                for (const [dr, dc] of getNeighborOffsets(row, topology)) {
+                    const nr = row + dr;
+                    const nc = col + dc;
+                    if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && open[nr * cols + nc] &&
+                        !walls.has(wallKey({ row, col }, { row: nr, col: nc }))) {
+                        neighbors[index].push(nr * cols + nc);
+                    }
+                }
+            }
+        }
+
+        return {
+            rows,
+            cols,
+            cellCount,
+            openCount,
+            neighbors,
+            pointAt,
+            pointCells,
+            lastNumber,
+            endCell: pointCells[lastNumber],
+            color,
+            colorCounts,
+            // Checkerboard parity only holds on bipartite boards; hex grids have triangles
+            checkParity: topology !== 'hex',
+            // Scratch buffers reused by the connectivity check
+            seen: new Uint32Array(cellCount),
+            queue: new Int32Array(cellCount),
+            forced: new Uint8Array(cellCount),
+            forcedSeen: new Uint32Array(cellCount),
+            disc: new Int32Array(cellCount),
+            low: new Int32Array(cellCount),
+            parent: new Int32Array(cellCount),
+            edgeIndex: new Int32Array(cellCount),
+            hasEnd: new Uint8Array(cellCount),
+            subtreePoints: new Int32Array(cellCount),
+            subtreeMin: new Int32Array(cellCount),
+            stamp: 0
+        };
+    }
+
+    /**
+     * Depth-first search from the current path head
+     * @private
+     * @param {Object} state
+     * @param {number} head - Cell index of the path head
+     * @param {number} target - Next point number to reach
+     * @returns {boolean} True when the search should stop
+     */
+    static _search(state, head, target) {
+        const { board, visited, result } = state;
+
+        result.nodes++;
+        if (result.nodes > state.maxNodes) {
+            result.aborted = true;
+            return true;
+        }
+
+        if (target > board.lastNumber) {
+            if (state.visitedCount === board.openCount) {
+                result.count++;
+                result.solutions.push(state.path.map(index => ({
+                    row: Math.floor(index / board.cols),
+                    col: index % board.cols
+                })));
+                return result.count >= state.maxSolutions;
+            }
+            return false;
+        }
+
+        for (const { cell } of this._viableMoves(state, head, target)) {
+            const number = board.pointAt[cell];
+
+            this._visit(state, cell);
+            const stop = this._search(state, cell, number ? target + 1 : target);
+            this._unvisit(state, cell);
+
+            if (stop) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Collect moves from head that keep the board solvable, fewest onward exits first
+     * @private
+     * @returns {Array<{cell: number, degree: number}>}
+     */
+    static _viableMoves(state, head, target) {
+        const { board, visited } = state;
+        const moves = [];
+
+        for (const next of board.neighbors[head]) {
+            if (visited[next]) continue;
+
+            const number = board.pointAt[next];
+            if (number && number !== target) continue;
+
+            this._visit(state, next);
+            if (this._isViable(state, next, number ? target + 1 : target)) {
+                moves.push({ cell: next, degree: this._freeDegree(state, next) });
+            }
+            this._unvisit(state, next);
+        }
+
+        return moves.sort((a, b) => a.degree - b.degree);
+    }
+
+    /**
+     * Check that the remaining board can still be completed from head
+     * @private
+     * @returns {boolean}
+     */
+    static _isViable(state, head, target) {
+        const { board, visited } = state;
+        const left = board.openCount - state.visitedCount;
+
+        // Reaching the last point early leaves cells unfilled
+        if (target > board.lastNumber) {
+            return left === 0;
+        }
+
+        // Parity: the rest of the path alternates colours starting at head
+        if (board.checkParity) {
+            const length = left + 1;
+            const headColor = board.color[head];
+            const endColor = length % 2 === 1 ? headColor : 1 - headColor;
+            if (board.color[board.endCell] !== endColor ||
+                state.remaining[headColor] + 1 !== Math.ceil(length / 2) ||
+                state.remaining[1 - headColor] !== Math.floor(length / 2)) {
+                return false;
+            }
+        }
+
+        // Flood fill the unvisited cells from head: every cell must be
+        // reachable, only the final point may be a dead end, and no cell
+        // may be forced into more path edges than it can take
+        board.stamp++;
+        const { seen, queue, neighbors, endCell } = board;
+        let qHead = 0;
+        let qTail = 0;
+        let reached = 0;
+
+        seen[head] = board.stamp;
+        queue[qTail++] = head;
+
+        while (qHead < qTail) {
+            const cell = queue[qHead++];
+            let degree = 0;
+
+            for (const next of neighbors[cell]) {
+                if (next === head) {
+                    degree++;
+                    continue;
+                }
+                if (visited[next]) continue;
+
+                degree++;
+                if (seen[next] !== board.stamp) {
+                    seen[next] = board.stamp;
+                    queue[qTail++] = next;
+                }
+            }
+
+            if (cell !== head) {
+                reached++;
+                if (degree === 0 || (degree === 1 && cell !== endCell)) {
+                    return false;
+                }
+                if ((degree === 2 && cell !== endCell) || (degree === 1 && cell === endCell)) {
+                    if (!this._forceEdges(state, cell, head)) return false;
+                }
+            }
+        }
+
+        return reached === left &&
+            this._hasNoBottleneck(state, head) &&
+            this._canReachTarget(state, head, target);
+    }
+
+    /**
+     * Check cut vertices of the unvisited region (plus head)
+     * The path passes a cut vertex once, so removing it may only separate
+     * the head side from the end side; head and end may not be cut vertices.
+     * Everything on the end side is visited last, so it must hold the
+     * highest-numbered points
+     * @private
+     * @returns {boolean}
+     */
+    static _hasNoBottleneck(state, head) {
+        const { board, visited } = state;
+        const { seen, queue: stack, neighbors, endCell, pointAt, lastNumber } = board;
+        const { disc, low, parent, edgeIndex, hasEnd, subtreePoints, subtreeMin } = board;
+        let time = 0;
+        let top = 0;
+        let rootChildren = 0;
+
+        board.stamp++;
+        seen[head] = board.stamp;
+        disc[head] = low[head] = time++;
+        parent[head] = -1;
+        edgeIndex[head] = 0;
+        hasEnd[head] = 0;
+        stack[top++] = head;
+
+        while (top > 0) {
+            const cell = stack[top - 1];
+            const cellNeighbors = neighbors[cell];
+
+            if (edgeIndex[cell] < cellNeighbors.length) {
+                const next = cellNeighbors[edgeIndex[cell]++];
+                if (next !== head && visited[next]) continue;
+
+                if (seen[next] !== board.stamp) {
+                    seen[next] = board.stamp;
+                    disc[next] = low[next] = time++;
+                    parent[next] = cell;
+                    edgeIndex[next] = 0;
+                    hasEnd[next] = next === endCell ? 1 : 0;
+                    subtreePoints[next] = pointAt[next] ? 1 : 0;
+                    subtreeMin[next] = pointAt[next] || lastNumber + 1;
+                    stack[top++] = next;
+                } else if (next !== parent[cell] && disc[next] < low[cell]) {
+                    low[cell] = disc[next];
+                }
+                continue;
+            }
+
+            top--;
+            const up = parent[cell];
+            if (up === -1) continue;
+
+            if (low[cell] < low[up]) low[up] = low[cell];
+            if (hasEnd[cell]) hasEnd[up] = 1;
+            subtreePoints[up] += subtreePoints[cell];
+            if (subtreeMin[cell] < subtreeMin[up]) subtreeMin[up] = subtreeMin[cell];
+
+            if (up === head) {
+                rootChildren++;
+                if (rootChildren > 1) return false;
+            } else if (low[cell] >= disc[up]) {
+                // The subtree below cell is cut off by up: it must hold the end
+                // and exactly the last few point numbers, with up just before
+                if (!hasEnd[cell] || up === endCell) return false;
+                const firstNumber = lastNumber - subtreePoints[cell] + 1;
+                if (subtreeMin[cell] !== firstNumber) return false;
+                if (pointAt[up] && pointAt[up] !== firstNumber - 1) return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Record that every free neighbour of a cell must connect to it
+     * @private
+     * @returns {boolean} False if a neighbour now needs too many edges
+     */
+    static _forceEdges(state, cell, head) {
+        const { board, visited } = state;
+        const { forced, forcedSeen, stamp } = board;
+
+        for (const next of board.neighbors[cell]) {
+            if (next !== head && visited[next]) continue;
+
+            if (forcedSeen[next] !== stamp) {
+                forcedSeen[next] = stamp;
+                forced[next] = 0;
+            }
+            forced[next]++;
+
+            // Head and end have one edge left, every other cell two
+            const capacity = next === head || next === board.endCell ? 1 : 2;
+            if (forced[next] > capacity) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check that the next point is reachable without crossing other points
+     * @private
+     * @returns {boolean}
+     */
+    static _canReachTarget(state, head, target) {
+        const { board, visited } = state;
+        const { seen, queue, neighbors, pointAt } = board;
+        const targetCell = board.pointCells[target];
+        let qHead = 0;
+        let qTail = 0;
+
+        board.stamp++;
+        seen[head] = board.stamp;
+        queue[qTail++] = head;
+
+        while (qHead < qTail) {
+            const cell = queue[qHead++];
+
+            for (const next of neighbors[cell]) {
+                if (next === targetCell) return true;
+                if (visited[next] || pointAt[next] || seen[next] === board.stamp) continue;
+
+                seen[next] = board.stamp;
+                queue[qTail++] = next;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Count unvisited neighbours of a cell
+     * @private
+     * @returns {number}
+     */
+    static _freeDegree(state, cell) {
+        let degree = 0;
+        for (const next of state.board.neighbors[cell]) {
+            if (!state.visited[next]) degree++;
+        }
+        return degree;
+    }
+
+    /**
+     * Mark a cell as part of the path
+     * @private
+     */
+    static _visit(state, cell) {
+        state.visited[cell] = 1;
+        state.visitedCount++;
+        state.remaining[state.board.color[cell]]--;
+        state.path.push(cell);
+    }
+
+    /**
+     * Remove the last cell from the path
+     * @private
+     */
+    static _unvisit(state, cell) {
+        state.visited[cell] = 0;
+        state.visitedCount--;
+        state.remaining[state.board.color[cell]]++;
+        state.path.pop();
+    }
+}
@@ -2,8 +2,11 @@
 // AMAZEING - Input Handler
 // =============================================
 
+import { getLineCells } from '../utils/Helpers.js';
+import { KEY_DIRECTIONS, HEX_DIAGONAL_KEYS, KEY_ACTIONS } from '../utils/Constants.js';
+
 /**
- * InputHandler - Manages touch and mouse input for path drawing
+ * InputHandler - Manages touch, mouse and keyboard input for path drawing
  */
 export class InputHandler {
     /**
@@ -11,8 +14,11 @@ export class InputHandler {
      * @param {HTMLElement} gridContainer - The grid container element
      * @param {Object} callbacks - Callback functions
      * @param {Function} callbacks.onDragStart - Called when drag starts
-     * @param {Function} callbacks.onDragMove - Called during drag
+     * @param {Function} callbacks.onDragMove - Called for each cell entered; returns false if the move was rejected
      * @param {Function} callbacks.onDragEnd - Called when drag ends
+     * @param {Function} callbacks.onKeyMove - Called with (rowDelta, colDelta) for a direction key
+     * @param {Function} callbacks.onKeyAction - Called with an action name from KEY_ACTIONS;
+     *   both key callbacks return true if they used the key
      */
     constructor(gridContainer, callbacks) {
         this.container = gridContainer;
@@ -20,10 +26,12 @@ export class InputHandler {
         this.isActive = false;
         this.lastCell = null;
         this.enabled = true;
+        this.hexCenters = null; // Cached cell centres for hex hit-testing
 
         this._boundHandleStart = this._handleStart.bind(this);
         this._boundHandleMove = this._handleMove.bind(this);
         this._boundHandleEnd = this._handleEnd.bind(this);
+        this._boundHandleKey = this._handleKey.bind(this);
 
         this._bindEvents();
     }
@@ -43,10 +51,46 @@ export class InputHandler {
         document.addEventListener('touchend', this._boundHandleEnd);
         document.addEventListener('touchcancel', this._boundHandleEnd);
 
+        // Keyboard play
+        document.addEventListener('keydown', this._boundHandleKey);
+
         // Prevent context menu on long press
         this.container.addEventListener('contextmenu', e => e.preventDefault());
     }
 
+    /**
+     * Handle a key press
+     * Keys typed into form fields, and keys with modifiers (left to the
+     * browser and the undo shortcuts), are ignored
+     * @param {KeyboardEvent} e
+     */
+    _handleKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, textarea, select')) return;
+
+        const key = e.key.toLowerCase();
+        const action = KEY_ACTIONS[key];
+
+        // Enter and Space on a focused button should still press the button
+        if (action === 'select' && e.target.closest?.('button')) return;
+
+        // Held-down keys repeat moves, but not actions like a new puzzle
+        if (action && e.repeat) return;
+
+        let handled = false;
+        if (KEY_DIRECTIONS[key]) {
+            if (!this.enabled) return;
+            handled = this.callbacks.onKeyMove?.(...KEY_DIRECTIONS[key]);
+        } else if (HEX_DIAGONAL_KEYS[key]) {
+            if (!this.enabled) return;
+            handled = this.callbacks.onKeyMove?.(...HEX_DIAGONAL_KEYS[key], true);
+        } else if (action) {
+            if (!this.enabled && action === 'select') return;
+            handled = this.callbacks.onKeyAction?.(action);
+        }
+
+        if (handled) e.preventDefault();
+    }
+
     /**
      * Handle start of drag (mousedown/touchstart)
      * @param {Event} e
@@ -56,6 +100,9 @@ export class InputHandler {
 
         e.preventDefault();
 
+        // Layout may have changed since the last drag
+        this.hexCenters = null;
+
         const cell = this._getCellFromEvent(e);
         if (!cell) return;
 
@@ -84,8 +131,17 @@ export class InputHandler {
             return;
         }
 
-        this.lastCell = cell;
-        this.callbacks.onDragMove?.(cell.row, cell.col, cell.element);
+        // A fast move can skip cells: send each cell on the line from the
+        // last one in turn, stopping at the first that is rejected. Only
+        // accepted steps move lastCell, so the next move interpolates from
+        // the path end rather than from where the pointer overshot to
+        const topology = this.container.classList.contains('hex') ? 'hex' : 'square';
+        const steps = this.lastCell ? getLineCells(this.lastCell, cell, topology) : [cell];
+        for (const step of steps) {
+            const element = step === cell ? cell.element : this._getCellElement(step.row, step.col);
+            if (this.callbacks.onDragMove?.(step.row, step.col, element) === false) break;
+            this.lastCell = { row: step.row, col: step.col, element };
+        }
     }
 
     /**
@@ -123,6 +179,11 @@ export class InputHandler {
             clientY = e.clientY;
         }
 
+        // Hex cells overlap each other's bounding boxes, so hit-test geometrically
+        if (this.container.classList.contains('hex')) {
+            return this._getHexCellAt(clientX, clientY);
+        }
+
         // Find element at position
         const element = document.elementFromPoint(clientX, clientY);
 
@@ -142,15 +203,61 @@ export class InputHandler {
             // Find the cell at the same position
             const row = parseInt(element.dataset.row, 10);
             const col = parseInt(element.dataset.col, 10);
-            const cellElement = this.container.querySelector(
-                `.cell[data-row="${row}"][data-col="${col}"]`
-            );
-            return { row, col, element: cellElement };
+            return { row, col, element: this._getCellElement(row, col) };
         }
 
         return null;
     }
 
+    /**
+     * @param {number} row
+     * @param {number} col
+     * @returns {HTMLElement|null} The grid cell element at a position
+     */
+    _getCellElement(row, col) {
+        return this.container.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`);
+    }
+
+    /**
+     * Find the hex cell under a point: the one with the nearest centre,
+     * as long as the point lies within a cell's circumradius of it
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{row: number, col: number, element: HTMLElement}|null}
+     */
+    _getHexCellAt(clientX, clientY) {
+        if (!this.hexCenters) {
+            this.hexCenters = Array.from(this.container.querySelectorAll('.cell'), element => {
+                const rect = element.getBoundingClientRect();
+                return {
+                    x: rect.left + rect.width / 2,
+                    y: rect.top + rect.height / 2,
+                    radius: rect.height / 2,
+                    element
+                };
+            });
+        }
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const center of this.hexCenters) {
+            const distance = Math.hypot(clientX - center.x, clientY - center.y);
+            if (distance < nearestDistance) {
+                nearest = center;
+                nearestDistance = distance;
+            }
+        }
+
+        if (!nearest || nearestDistance > nearest.radius) return null;
+
+        return {
+            row: parseInt(nearest.element.dataset.row, 10),
+            col: parseInt(nearest.element.dataset.col, 10),
+            element: nearest.element
+        };
+    }
+
     /**
      * Enable input handling
      */
@@ -179,5 +286,7 @@ export class InputHandler {
         document.removeEventListener('touchmove', this._boundHandleMove);
         document.removeEventListener('touchend', this._boundHandleEnd);
         document.removeEventListener('touchcancel', this._boundHandleEnd);
+
+        document.removeEventListener('keydown', this._boundHandleKey);
     }
 }
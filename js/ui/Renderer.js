@@ -2,9 +2,14 @@
 // AMAZEING - Renderer
 // =============================================
 
-import { THEMES } from '../utils/Constants.js';
+import { THEMES, GRID_SIZES } from '../utils/Constants.js';
+import { getGridDimensions } from '../utils/Helpers.js';
 import { gameState } from '../game/GameState.js';
 
+// Pointy-top hex geometry relative to the cell width (matches main.css)
+const HEX_HEIGHT = 2 / Math.sqrt(3);
+const HEX_ROW_PITCH = Math.sqrt(3) / 2;
+
 /**
  * Renderer - Handles all visual rendering of the game
  * Now uses colored lines instead of emojis, supports obstacles
@@ -24,51 +29,74 @@ export class Renderer {
         this.previewCtx = previewCanvas.getContext('2d');
 
         this.cellSize = 48;
-        this.gridSize = 6;
+        this.rows = 6;
+        this.cols = 6;
+        this.topology = 'square';
         this.gridGap = 2;
         this.gridPadding = 2;
 
         // Points overlay
         this.pointsOverlay = document.getElementById('points-overlay');
 
-        // Track obstacles
+        // Track obstacles, walls and the board shape
         this.obstacles = new Set();
+        this.walls = [];
+        this.mask = null;
     }
 
     /**
      * Initialize the grid for a new level
-     * @param {number} gridSize
-     * @param {Array} points - Array of {number, row, col}
-     * @param {Array} obstacles - Array of {row, col} for blocked cells
+     * @param {Object} levelData - Level with size (or rows/cols), points, obstacles, walls and an optional shape mask
      */
-    initialize(gridSize, points, obstacles = []) {
-        this.gridSize = gridSize;
-        this.gridContainer.dataset.size = gridSize;
-        this.pointsOverlay.dataset.size = gridSize;
+    initialize(levelData) {
+        const { rows, cols } = getGridDimensions(levelData);
+        const obstacles = levelData.obstacles || [];
+        this.rows = rows;
+        this.cols = cols;
+        this.topology = levelData.topology || 'square';
+        const isHex = this.topology === 'hex';
+
+        // The column/row counts drive the CSS grid template; data-size picks
+        // the responsive cell size bucket for the longer side
+        const sizeBucket = GRID_SIZES.find(s => s >= Math.max(rows, cols)) ||
+            GRID_SIZES[GRID_SIZES.length - 1];
+        [this.gridContainer, this.pointsOverlay].forEach(el => {
+            el.dataset.size = sizeBucket;
+            el.style.setProperty('--grid-rows', rows);
+            el.style.setProperty('--grid-cols', cols);
+            el.classList.toggle('hex', isHex);
+        });
+        this.gridContainer.classList.toggle('shaped', !!levelData.mask);
         this.gridContainer.innerHTML = '';
 
-        // Store obstacles
+        // Store obstacles, walls and the board shape
         this.obstacles = new Set(obstacles.map(o => `${o.row},${o.col}`));
+        this.walls = levelData.walls || [];
+        this.mask = levelData.mask || null;
 
         // Create grid cells
-        for (let row = 0; row < gridSize; row++) {
-            for (let col = 0; col < gridSize; col++) {
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
                 const cell = document.createElement('div');
                 cell.className = 'cell';
                 cell.dataset.row = row;
                 cell.dataset.col = col;
+                if (isHex) this._setHexPosition(cell, row, col);
 
-                // Mark obstacles
+                // Mark obstacles; cells outside the shape are obstacles too, but hidden
                 if (this.obstacles.has(`${row},${col}`)) {
                     cell.classList.add('obstacle');
                 }
+                if (this._isVoid(row, col)) {
+                    cell.classList.add('void');
+                }
 
                 this.gridContainer.appendChild(cell);
             }
         }
 
         // Render numbered points
-        this._renderPoints(points);
+        this._renderPoints(levelData.points);
 
         // Resize canvas to match grid
         this._resizeCanvas();
@@ -91,12 +119,59 @@ export class Renderer {
             pointEl.dataset.row = point.row;
             pointEl.dataset.col = point.col;
             pointEl.textContent = point.number;
-            pointEl.style.gridRow = point.row + 1;
-            pointEl.style.gridColumn = point.col + 1;
+            if (this.topology === 'hex') {
+                this._setHexPosition(pointEl, point.row, point.col);
+            } else {
+                pointEl.style.gridRow = point.row + 1;
+                pointEl.style.gridColumn = point.col + 1;
+            }
             this.pointsOverlay.appendChild(pointEl);
         });
     }
 
+    /**
+     * Check if a cell lies outside the board shape
+     * @param {number} row
+     * @param {number} col
+     * @returns {boolean}
+     */
+    _isVoid(row, col) {
+        return !!this.mask && this.mask[row][col] !== '#';
+    }
+
+    /**
+     * Set the offset coordinates main.css uses to place a hex cell or point
+     * @param {HTMLElement} el
+     * @param {number} row
+     * @param {number} col
+     */
+    _setHexPosition(el, row, col) {
+        el.style.setProperty('--hex-x', col + (row % 2) / 2);
+        el.style.setProperty('--hex-y', row);
+    }
+
+    /**
+     * Get the centre of a cell in canvas coordinates
+     * @param {number} row
+     * @param {number} col
+     * @returns {{x: number, y: number}}
+     */
+    _cellCenter(row, col) {
+        const step = this.cellSize + this.gridGap;
+
+        if (this.topology === 'hex') {
+            return {
+                x: this.gridPadding + (col + (row % 2) / 2) * step + this.cellSize / 2,
+                y: this.gridPadding + row * step * HEX_ROW_PITCH + this.cellSize * HEX_HEIGHT / 2
+            };
+        }
+
+        return {
+            x: this.gridPadding + col * step + this.cellSize / 2,
+            y: this.gridPadding + row * step + this.cellSize / 2
+        };
+    }
+
     /**
      * Resize canvas to match grid dimensions
      */
@@ -114,7 +189,12 @@ export class Renderer {
             this.ctx.scale(dpr, dpr);
 
             // Calculate cell size from actual rendered grid
-            this.cellSize = (rect.width - this.gridPadding * 2) / this.gridSize - this.gridGap;
+            // (hex rows are half a cell wider because odd rows are shifted)
+            if (this.topology === 'hex') {
+                this.cellSize = (rect.width - this.gridPadding * 2 + this.gridGap) / (this.cols + 0.5) - this.gridGap;
+            } else {
+                this.cellSize = (rect.width - this.gridPadding * 2) / this.cols - this.gridGap;
+            }
 
             // Re-render paths
             this.renderPaths();
@@ -127,6 +207,9 @@ export class Renderer {
     clearPaths() {
         this.ctx.clearRect(0, 0, this.pathCanvas.width, this.pathCanvas.height);
 
+        // Walls share the path canvas, so redraw them after every clear
+        this._renderWalls();
+
         // Also clear cell highlights
         this.gridContainer.querySelectorAll('.cell.path-cell').forEach(cell => {
             cell.classList.remove('path-cell');
@@ -134,6 +217,52 @@ export class Renderer {
         });
     }
 
+    /**
+     * Draw walls as bars in the gap between the cells they separate
+     */
+    _renderWalls() {
+        if (this.walls.length === 0) return;
+
+        const step = this.cellSize + this.gridGap;
+
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.lineWidth = Math.max(3, this.gridGap * 2);
+        this.ctx.lineCap = 'round';
+        this.ctx.globalAlpha = 1;
+        this.ctx.beginPath();
+
+        this.walls.forEach(({ from, to }) => {
+            if (this.topology === 'hex') {
+                // Bar along the shared side: through the midpoint of the two
+                // centres, perpendicular to the line joining them
+                const a = this._cellCenter(from.row, from.col);
+                const b = this._cellCenter(to.row, to.col);
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                const half = this.cellSize / Math.sqrt(3) / 2;
+                const nx = -(b.y - a.y) / length * half;
+                const ny = (b.x - a.x) / length * half;
+                const mx = (a.x + b.x) / 2;
+                const my = (a.y + b.y) / 2;
+                this.ctx.moveTo(mx - nx, my - ny);
+                this.ctx.lineTo(mx + nx, my + ny);
+            } else if (from.row === to.row) {
+                // Vertical bar between horizontal neighbours
+                const x = this.gridPadding + Math.max(from.col, to.col) * step - this.gridGap / 2;
+                const y = this.gridPadding + from.row * step;
+                this.ctx.moveTo(x, y);
+                this.ctx.lineTo(x, y + this.cellSize);
+            } else {
+                // Horizontal bar between vertical neighbours
+                const x = this.gridPadding + from.col * step;
+                const y = this.gridPadding + Math.max(from.row, to.row) * step - this.gridGap / 2;
+                this.ctx.moveTo(x, y);
+                this.ctx.lineTo(x + this.cellSize, y);
+            }
+        });
+
+        this.ctx.stroke();
+    }
+
     /**
      * Render all paths (completed and current)
      */
@@ -177,15 +306,11 @@ export class Renderer {
         if (path.cells.length >= 2) {
             this.ctx.beginPath();
 
-            const firstCell = path.cells[0];
-            const startX = this.gridPadding + firstCell.col * (this.cellSize + this.gridGap) + this.cellSize / 2;
-            const startY = this.gridPadding + firstCell.row * (this.cellSize + this.gridGap) + this.cellSize / 2;
-            this.ctx.moveTo(startX, startY);
+            const start = this._cellCenter(path.cells[0].row, path.cells[0].col);
+            this.ctx.moveTo(start.x, start.y);
 
             for (let i = 1; i < path.cells.length; i++) {
-                const cell = path.cells[i];
-                const x = this.gridPadding + cell.col * (this.cellSize + this.gridGap) + this.cellSize / 2;
-                const y = this.gridPadding + cell.row * (this.cellSize + this.gridGap) + this.cellSize / 2;
+                const { x, y } = this._cellCenter(path.cells[i].row, path.cells[i].col);
                 this.ctx.lineTo(x, y);
             }
 
@@ -290,6 +415,19 @@ export class Renderer {
         });
     }
 
+    /**
+     * Show the keyboard cursor on a cell
+     * @param {number|null} row - null hides the cursor
+     * @param {number} col
+     */
+    setCursor(row, col) {
+        this.gridContainer.querySelector('.cell.cursor')?.classList.remove('cursor');
+        if (row === null) return;
+
+        this.gridContainer.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`)
+            ?.classList.add('cursor');
+    }
+
     /**
      * Update point connected status
      * @param {number} pointNumber
@@ -330,21 +468,42 @@ export class Renderer {
     renderPreview(levelData) {
         if (!levelData) return;
 
-        const size = levelData.size;
-        const pixelSize = 64 / size;
+        const { rows, cols } = getGridDimensions(levelData);
+        const isHex = levelData.topology === 'hex';
+        const width = isHex ? cols + 0.5 : cols;
+        const pixelSize = 64 / Math.max(rows, width);
+
+        // Left edge of a cell; odd hex rows are shifted by half a cell
+        const cellX = (row, col) => (col + (isHex ? (row % 2) / 2 : 0)) * pixelSize;
 
         this.previewCtx.clearRect(0, 0, 64, 64);
 
-        // Draw a simple grid preview
+        // Centre non-square boards inside the square preview
+        this.previewCtx.save();
+        this.previewCtx.translate((64 - width * pixelSize) / 2, (64 - rows * pixelSize) / 2);
+
+        // Draw a simple grid preview (only the cells inside a shaped board)
+        const mask = levelData.mask;
+        const isVoid = (row, col) => !!mask && mask[row][col] !== '#';
         this.previewCtx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-        this.previewCtx.fillRect(0, 0, 64, 64);
+        if (mask) {
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    if (!isVoid(row, col)) {
+                        this.previewCtx.fillRect(cellX(row, col), row * pixelSize, pixelSize, pixelSize);
+                    }
+                }
+            }
+        } else {
+            this.previewCtx.fillRect(0, 0, width * pixelSize, rows * pixelSize);
+        }
 
         // Draw obstacles as dark cells
         if (levelData.obstacles) {
             this.previewCtx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-            levelData.obstacles.forEach(obs => {
+            levelData.obstacles.filter(obs => !isVoid(obs.row, obs.col)).forEach(obs => {
                 this.previewCtx.fillRect(
-                    obs.col * pixelSize + 1,
+                    cellX(obs.row, obs.col) + 1,
                     obs.row * pixelSize + 1,
                     pixelSize - 2,
                     pixelSize - 2
@@ -352,12 +511,40 @@ export class Renderer {
             });
         }
 
+        // Draw walls as thin lines on cell borders
+        if (levelData.walls && levelData.walls.length > 0) {
+            this.previewCtx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            this.previewCtx.lineWidth = 1.5;
+            this.previewCtx.beginPath();
+            levelData.walls.forEach(({ from, to }) => {
+                if (isHex) {
+                    // Short bar across the midpoint of the two cell centres
+                    const dx = cellX(to.row, to.col) - cellX(from.row, from.col);
+                    const dy = (to.row - from.row) * pixelSize;
+                    const mx = (cellX(from.row, from.col) + cellX(to.row, to.col) + pixelSize) / 2;
+                    const my = (from.row + to.row + 1) * pixelSize / 2;
+                    const scale = pixelSize / 3 / Math.hypot(dx, dy);
+                    this.previewCtx.moveTo(mx + dy * scale, my - dx * scale);
+                    this.previewCtx.lineTo(mx - dy * scale, my + dx * scale);
+                } else if (from.row === to.row) {
+                    const x = Math.max(from.col, to.col) * pixelSize;
+                    this.previewCtx.moveTo(x, from.row * pixelSize);
+                    this.previewCtx.lineTo(x, (from.row + 1) * pixelSize);
+                } else {
+                    const y = Math.max(from.row, to.row) * pixelSize;
+                    this.previewCtx.moveTo(from.col * pixelSize, y);
+                    this.previewCtx.lineTo((from.col + 1) * pixelSize, y);
+                }
+            });
+            this.previewCtx.stroke();
+        }
+
         // Draw points as dots
         this.previewCtx.fillStyle = '#ffd700';
         levelData.points.forEach(point => {
             this.previewCtx.beginPath();
             this.previewCtx.arc(
-                point.col * pixelSize + pixelSize / 2,
+                cellX(point.row, point.col) + pixelSize / 2,
                 point.row * pixelSize + pixelSize / 2,
                 pixelSize / 4,
                 0,
@@ -365,21 +552,24 @@ export class Renderer {
             );
             this.previewCtx.fill();
         });
+
+        this.previewCtx.restore();
     }
 
     /**
      * Render the final artwork in the win modal
-     * @param {number} size - Grid size
+     * @param {number} rows - Number of grid rows
+     * @param {number} cols - Number of grid columns
      */
-    renderFinalArtwork(size) {
+    renderFinalArtwork(rows, cols) {
         const artworkContainer = document.getElementById('final-artwork');
         artworkContainer.innerHTML = '';
-        artworkContainer.style.gridTemplateColumns = `repeat(${size}, 1.2rem)`;
+        artworkContainer.style.gridTemplateColumns = `repeat(${cols}, 1.2rem)`;
         artworkContainer.style.gap = '1px';
 
         // Build grid from paths
-        const grid = Array.from({ length: size }, () =>
-            Array(size).fill(null)
+        const grid = Array.from({ length: rows }, () =>
+            Array(cols).fill(null)
         );
 
         gameState.paths.forEach((path, pathIndex) => {
@@ -395,7 +585,9 @@ export class Renderer {
                 const span = document.createElement('span');
                 span.className = 'artwork-cell';
 
-                if (this.obstacles.has(`${rowIndex},${colIndex}`)) {
+                if (this._isVoid(rowIndex, colIndex)) {
+                    span.style.backgroundColor = 'transparent';
+                } else if (this.obstacles.has(`${rowIndex},${colIndex}`)) {
                     span.style.backgroundColor = '#333';
                 } else if (color) {
                     span.style.backgroundColor = color;
@@ -408,6 +600,11 @@ export class Renderer {
                 span.style.display = 'inline-block';
                 span.style.borderRadius = '2px';
 
+                // Shift odd hex rows by half a cell, as on the board
+                if (this.topology === 'hex' && rowIndex % 2 === 1) {
+                    span.style.transform = 'translateX(0.6rem)';
+                }
+
                 artworkContainer.appendChild(span);
             });
         });
@@ -2,7 +2,16 @@
 // AMAZEING - Constants
 // =============================================
 
-export const GRID_SIZES = [6, 8, 10, 12];
+export const GRID_SIZES = [6, 8, 10, 12, 16, 20];
+
+// Neighbour offsets as [rowDelta, colDelta] per grid topology.
+// Hex boards use "odd-r" offset coordinates: odd rows sit half a cell to
+// the right, so the diagonal neighbours depend on the row's parity.
+export const NEIGHBOR_OFFSETS = {
+    square: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+    hexEvenRow: [[-1, -1], [-1, 0], [0, -1], [0, 1], [1, -1], [1, 0]],
+    hexOddRow: [[-1, 0], [-1, 1], [0, -1], [0, 1], [1, 0], [1, 1]]
+};
 
 export const THEMES = {
     'star-sky': {
@@ -21,19 +30,22 @@ export const THEMES = {
         id: 'ship',
         name: 'Ship',
         emojis: ['🚢', '🌊'],
-        background: 'ship'
+        background: 'ship',
+        shape: 'ship'
     },
     'rocket': {
         id: 'rocket',
         name: 'Rocket',
         emojis: ['🚀', '🔥'],
-        background: 'rocket'
+        background: 'rocket',
+        shape: 'rocket'
     },
     'heart': {
         id: 'heart',
         name: 'Heart',
         emojis: ['❤️', '💕'],
-        background: 'heart'
+        background: 'heart',
+        shape: 'heart'
     },
     'neon-city': {
         id: 'neon-city',
@@ -57,13 +69,48 @@ export const GAME_STATES = {
     COMPLETED: 'completed'
 };
 
+// Keyboard play: keys (KeyboardEvent.key, lower-cased) to actions.
+// Directions are [rowDelta, colDelta]; on hex boards up/down move to the
+// adjacent cell in the same column of the next row.
+export const KEY_DIRECTIONS = {
+    arrowup: [-1, 0], w: [-1, 0],
+    arrowdown: [1, 0], s: [1, 0],
+    arrowleft: [0, -1], a: [0, -1],
+    arrowright: [0, 1], d: [0, 1]
+};
+
+// Hex boards only: the diagonal neighbours as [rowDelta, side], side -1 for
+// left and 1 for right. The column they land in depends on the row parity.
+export const HEX_DIAGONAL_KEYS = {
+    q: [-1, -1], e: [-1, 1],
+    x: [1, -1], c: [1, 1]
+};
+
+export const KEY_ACTIONS = {
+    'enter': 'select',
+    ' ': 'select',
+    'escape': 'cancel',
+    'z': 'undo',
+    'y': 'redo',
+    'r': 'reset',
+    'h': 'hint',
+    'n': 'new'
+};
+
 export const STORAGE_KEYS = {
     PROGRESS: 'amazeing_progress',
     SETTINGS: 'amazeing_settings',
     DAILY_COMPLETED: 'amazeing_daily',
-    CURRENT_LEVEL: 'amazeing_current_level'
+    CURRENT_LEVEL: 'amazeing_current_level',
+    EDITOR_DRAFT: 'amazeing_editor_draft',
+    CUSTOM_PACKS: 'amazeing_custom_packs',
+    SAVED_GAME: 'amazeing_saved_game'
 };
 
+// Daily puzzle preset for each UTC weekday (getUTCDay order, Sunday first):
+// easy on Monday, rising to expert on Sunday
+export const DAILY_ROTATION = ['expert', 'easy', 'easy', 'medium', 'medium', 'hard', 'hard'];
+
 export const DIFFICULTY_NAMES = {
     6: 'Easy',
     8: 'Medium',
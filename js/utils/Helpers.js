@@ -2,6 +2,8 @@
 // AMAZEING - Helper Utilities
 // =============================================
 
+import { NEIGHBOR_OFFSETS } from './Constants.js';
+
 /**
  * Format time in MM:SS format
  * @param {number} seconds - Time in seconds
@@ -44,15 +46,133 @@ export function posEquals(pos1, pos2) {
 }
 
 /**
- * Check if two positions are adjacent (horizontal/vertical only)
+ * Get the neighbour offsets of a cell
+ * @param {number} row - Needed because hex neighbours depend on row parity
+ * @param {string} topology - 'square' or 'hex'
+ * @returns {Array<Array<number>>} [rowDelta, colDelta] pairs
+ */
+export function getNeighborOffsets(row, topology = 'square') {
+    if (topology !== 'hex') return NEIGHBOR_OFFSETS.square;
+    return row % 2 === 0 ? NEIGHBOR_OFFSETS.hexEvenRow : NEIGHBOR_OFFSETS.hexOddRow;
+}
+
+/**
+ * Check if two positions are adjacent
+ * (horizontal/vertical on square grids, any of six sides on hex grids)
  * @param {Object} pos1 - {row, col}
  * @param {Object} pos2 - {row, col}
+ * @param {string} topology - 'square' or 'hex'
  * @returns {boolean}
  */
-export function areAdjacent(pos1, pos2) {
-    const rowDiff = Math.abs(pos1.row - pos2.row);
-    const colDiff = Math.abs(pos1.col - pos2.col);
-    return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+export function areAdjacent(pos1, pos2, topology = 'square') {
+    const rowDiff = pos2.row - pos1.row;
+    const colDiff = pos2.col - pos1.col;
+    return getNeighborOffsets(pos1.row, topology)
+        .some(([dr, dc]) => dr === rowDiff && dc === colDiff);
+}
+
+/**
+ * Get the grid dimensions of a level
+ * Levels declare either a square `size` or separate `rows` and `cols`
+ * @param {Object} levelData
+ * @returns {{rows: number, cols: number}}
+ */
+export function getGridDimensions(levelData) {
+    return {
+        rows: levelData.rows || levelData.size,
+        cols: levelData.cols || levelData.size
+    };
+}
+
+/**
+ * List the cells on a straight line between two cells, one step apart
+ * Each cell in the result is adjacent to the one before it (on square
+ * grids the line moves one row or one column at a time)
+ * @param {Object} from - {row, col}, not included
+ * @param {Object} to - {row, col}, included
+ * @param {string} topology - 'square' or 'hex'
+ * @returns {Array<{row: number, col: number}>}
+ */
+export function getLineCells(from, to, topology = 'square') {
+    return topology === 'hex' ? hexLine(from, to) : squareLine(from, to);
+}
+
+/**
+ * @returns {Array<{row: number, col: number}>} See getLineCells
+ */
+function squareLine(from, to) {
+    const rowSteps = Math.abs(to.row - from.row);
+    const colSteps = Math.abs(to.col - from.col);
+    const rowSign = Math.sign(to.row - from.row);
+    const colSign = Math.sign(to.col - from.col);
+    const cells = [];
+
+    let { row, col } = from;
+    for (let r = 0, c = 0; r < rowSteps || c < colSteps;) {
+        // Step along whichever axis the line crosses next
+        if ((0.5 + c) / colSteps < (0.5 + r) / rowSteps) {
+            col += colSign;
+            c++;
+        } else {
+            row += rowSign;
+            r++;
+        }
+        cells.push({ row, col });
+    }
+    return cells;
+}
+
+/**
+ * @returns {Array<{row: number, col: number}>} See getLineCells
+ */
+function hexLine(from, to) {
+    // Odd-r offset coordinates to cube coordinates and back
+    const toCube = ({ row, col }) => {
+        const x = col - (row - (row & 1)) / 2;
+        return { x, z: row, y: -x - row };
+    };
+    const a = toCube(from);
+    const b = toCube(to);
+    const steps = Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y), Math.abs(a.z - b.z));
+    const cells = [];
+
+    for (let i = 1; i <= steps; i++) {
+        // The nudge keeps points exactly between two cells from rounding both ways
+        const t = i / steps;
+        const x = a.x + (b.x - a.x) * t + 1e-6;
+        const y = a.y + (b.y - a.y) * t + 1e-6;
+        const z = a.z + (b.z - a.z) * t - 2e-6;
+
+        let rx = Math.round(x);
+        let ry = Math.round(y);
+        let rz = Math.round(z);
+        const dx = Math.abs(rx - x);
+        const dy = Math.abs(ry - y);
+        const dz = Math.abs(rz - z);
+        if (dx > dy && dx > dz) {
+            rx = -ry - rz;
+        } else if (dy > dz) {
+            ry = -rx - rz;
+        } else {
+            rz = -rx - ry;
+        }
+
+        cells.push({ row: rz, col: rx + (rz - (rz & 1)) / 2 });
+    }
+    return cells;
+}
+
+/**
+ * Create an order-independent key for the edge between two cells
+ * Used to look up walls, which block movement between adjacent cells
+ * @param {Object} pos1 - {row, col}
+ * @param {Object} pos2 - {row, col}
+ * @returns {string}
+ */
+export function wallKey(pos1, pos2) {
+    const key1 = posKey(pos1.row, pos1.col);
+    const key2 = posKey(pos2.row, pos2.col);
+    return key1 < key2 ? `${key1}|${key2}` : `${key2}|${key1}`;
 }
 
 /**
@@ -114,6 +234,35 @@ export function dateHash(dateString) {
     return Math.abs(hash);
 }
 
+/**
+ * Turn a seed (number or string) into an unsigned 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+        return /^\d+$/.test(seed) ? Number(seed) >>> 0 : dateHash(seed) >>> 0;
+    }
+    return Math.floor(seed) >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * Same seed always yields the same sequence
+ * @param {number|string} seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Get today's date in YYYY-MM-DD format
  * @returns {string}
@@ -122,6 +271,18 @@ export function getTodayString() {
     return new Date().toISOString().split('T')[0];
 }
 
+/**
+ * Shift a YYYY-MM-DD date by a number of days (in UTC, like getTodayString)
+ * @param {string} dateString - YYYY-MM-DD format
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+export function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
 /**
  * Sleep for a given number of milliseconds
  * @param {number} ms
@@ -0,0 +1,257 @@
+// =============================================
+// AMAZEING - Shareable Level Codes
+// =============================================
+
+import { THEMES } from './Constants.js';
+import { getGridDimensions, getNeighborOffsets } from './Helpers.js';
+
+/**
+ * Level codes are URL-safe base64 of a small binary record:
+ *   version, flags, rows, cols, [theme index],
+ *   point count, point cells (2 bytes each, in number order),
+ *   obstacle bitmap, [mask bitmap], [wall count (2 bytes), walls (cell + side)],
+ *   Fletcher-16 checksum (2 bytes)
+ * Bump CODE_VERSION whenever the layout changes
+ */
+const CODE_VERSION = 1;
+
+const FLAG_HEX = 1;
+const FLAG_THEME = 2;
+const FLAG_MASK = 4;
+const FLAG_WALLS = 8;
+
+const MAX_DIMENSION = 30;
+
+/**
+ * Raised when a code cannot be decoded; the message is meant for players
+ */
+export class LevelCodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LevelCodeError';
+    }
+}
+
+/**
+ * Encode a level as a short URL-safe code
+ * Carries the board (size, topology, points, obstacles, walls, shape mask)
+ * and theme; names, ratings and solutions are left out
+ * @param {Object} levelData
+ * @returns {string}
+ */
+export function encodeLevel(levelData) {
+    const { rows, cols } = getGridDimensions(levelData);
+    const topology = levelData.topology || 'square';
+    const themeIndex = Object.keys(THEMES).indexOf(levelData.theme);
+    const walls = levelData.walls || [];
+    const bytes = [];
+
+    const flags = (topology === 'hex' ? FLAG_HEX : 0) |
+        (themeIndex >= 0 ? FLAG_THEME : 0) |
+        (levelData.mask ? FLAG_MASK : 0) |
+        (walls.length > 0 ? FLAG_WALLS : 0);
+
+    bytes.push(CODE_VERSION, flags, rows, cols);
+    if (themeIndex >= 0) bytes.push(themeIndex);
+
+    const pushCell = ({ row, col }) => {
+        const index = row * cols + col;
+        bytes.push(index >> 8, index & 0xff);
+    };
+
+    const points = [...levelData.points].sort((a, b) => a.number - b.number);
+    bytes.push(points.length);
+    points.forEach(pushCell);
+
+    bytes.push(...bitmap(rows, cols, (levelData.obstacles || []).map(o => o.row * cols + o.col)));
+
+    if (levelData.mask) {
+        const outside = [];
+        levelData.mask.forEach((line, row) => {
+            [...line].forEach((char, col) => {
+                if (char !== '#') outside.push(row * cols + col);
+            });
+        });
+        bytes.push(...bitmap(rows, cols, outside));
+    }
+
+    if (walls.length > 0) {
+        bytes.push(walls.length >> 8, walls.length & 0xff);
+        walls.forEach(({ from, to }) => {
+            const side = getNeighborOffsets(from.row, topology)
+                .findIndex(([dr, dc]) => from.row + dr === to.row && from.col + dc === to.col);
+            pushCell(from);
+            bytes.push(side);
+        });
+    }
+
+    bytes.push(...checksum(bytes));
+    return toBase64Url(bytes);
+}
+
+/**
+ * Decode a level code
+ * @param {string} code
+ * @returns {Object} Level data without a solution
+ * @throws {LevelCodeError} For malformed, damaged or unsupported codes
+ */
+export function decodeLevel(code) {
+    const trimmed = (code || '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(trimmed)) {
+        throw new LevelCodeError('That is not a level code.');
+    }
+
+    const bytes = fromBase64Url(trimmed);
+    if (bytes.length < 7) {
+        throw new LevelCodeError('That level code is too short. Was it copied completely?');
+    }
+
+    const body = bytes.slice(0, -2);
+    const [sum1, sum2] = checksum(body);
+    if (sum1 !== bytes[bytes.length - 2] || sum2 !== bytes[bytes.length - 1]) {
+        throw new LevelCodeError('That level code is damaged. Check that it was copied completely.');
+    }
+
+    if (body[0] !== CODE_VERSION) {
+        throw new LevelCodeError(body[0] > CODE_VERSION
+            ? 'That level code is from a newer version of the game.'
+            : `Unknown level code version ${body[0]}.`);
+    }
+
+    let offset = 1;
+    const read = () => {
+        if (offset >= body.length) {
+            throw new LevelCodeError('That level code is incomplete.');
+        }
+        return body[offset++];
+    };
+
+    const flags = read();
+    const rows = read();
+    const cols = read();
+    if (rows < 2 || cols < 2 || rows > MAX_DIMENSION || cols > MAX_DIMENSION) {
+        throw new LevelCodeError(`That level code has an invalid board size (${cols}x${rows}).`);
+    }
+
+    const topology = flags & FLAG_HEX ? 'hex' : 'square';
+    const theme = flags & FLAG_THEME ? Object.keys(THEMES)[read()] : undefined;
+
+    const readCell = () => {
+        const index = (read() << 8) | read();
+        if (index >= rows * cols) {
+            throw new LevelCodeError('That level code refers to a cell outside the board.');
+        }
+        return { row: Math.floor(index / cols), col: index % cols };
+    };
+    const readBitmap = () => {
+        const cells = [];
+        for (let byte = 0; byte < Math.ceil(rows * cols / 8); byte++) {
+            const value = read();
+            for (let bit = 0; bit < 8; bit++) {
+                const index = byte * 8 + bit;
+                if (value & (1 << bit) && index < rows * cols) {
+                    cells.push({ row: Math.floor(index / cols), col: index % cols });
+                }
+            }
+        }
+        return cells;
+    };
+
+    const pointCount = read();
+    const points = Array.from({ length: pointCount }, (_, i) => ({ number: i + 1, ...readCell() }));
+    const obstacles = readBitmap();
+
+    let mask;
+    if (flags & FLAG_MASK) {
+        mask = Array.from({ length: rows }, () => Array(cols).fill('#'));
+        readBitmap().forEach(({ row, col }) => { mask[row][col] = '.'; });
+        mask = mask.map(line => line.join(''));
+    }
+
+    const walls = [];
+    if (flags & FLAG_WALLS) {
+        const wallCount = (read() << 8) | read();
+        for (let i = 0; i < wallCount; i++) {
+            const from = readCell();
+            const offsetPair = getNeighborOffsets(from.row, topology)[read()];
+            const to = offsetPair && { row: from.row + offsetPair[0], col: from.col + offsetPair[1] };
+            if (!to || to.row < 0 || to.row >= rows || to.col < 0 || to.col >= cols) {
+                throw new LevelCodeError('That level code has an invalid wall.');
+            }
+            walls.push({ from, to });
+        }
+    }
+
+    if (offset !== body.length) {
+        throw new LevelCodeError('That level code has unexpected extra data.');
+    }
+    if (pointCount < 2) {
+        throw new LevelCodeError('That level code has fewer than two points.');
+    }
+
+    return {
+        name: 'Shared Puzzle',
+        ...(rows === cols ? { size: rows } : { rows, cols }),
+        ...(topology === 'hex' ? { topology } : {}),
+        ...(mask ? { mask } : {}),
+        theme: theme || 'star-sky',
+        difficulty: null,
+        points,
+        obstacles,
+        walls,
+        solution: []
+    };
+}
+
+/**
+ * Pack a set of cell indices into a bitmap, lowest bit first
+ * @param {number} rows
+ * @param {number} cols
+ * @param {Array<number>} cells
+ * @returns {Array<number>} Bytes
+ */
+function bitmap(rows, cols, cells) {
+    const bytes = new Array(Math.ceil(rows * cols / 8)).fill(0);
+    cells.forEach(index => { bytes[index >> 3] |= 1 << (index & 7); });
+    return bytes;
+}
+
+/**
+ * Fletcher-16 checksum
+ * @param {Array<number>} bytes
+ * @returns {Array<number>} Two check bytes
+ */
+function checksum(bytes) {
+    let sum1 = 0;
+    let sum2 = 0;
+    bytes.forEach(byte => {
+        sum1 = (sum1 + byte) % 255;
+        sum2 = (sum2 + sum1) % 255;
+    });
+    return [sum1, sum2];
+}
+
+/**
+ * @param {Array<number>} bytes
+ * @returns {string} Base64url without padding
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - Base64url, padding optional
+ * @returns {Array<number>} Bytes
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    try {
+        return Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+    } catch {
+        // The characters were already checked, so only the length can be wrong
+        throw new LevelCodeError('That level code is incomplete. Was it copied completely?');
+    }
+}
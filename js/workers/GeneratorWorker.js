@@ -0,0 +1,24 @@
+// =============================================
+// AMAZEING - Level Generation Worker
+// =============================================
+
+import { LevelGenerator } from '../game/LevelGenerator.js';
+
+/**
+ * Runs LevelGenerator off the main thread
+ * Receives {id, options} and replies with progress, result or error
+ * messages tagged with the same id
+ */
+self.addEventListener('message', (e) => {
+    const { id, options } = e.data;
+
+    try {
+        const level = LevelGenerator.generate({
+            ...options,
+            onProgress: (progress) => self.postMessage({ id, type: 'progress', progress })
+        });
+        self.postMessage({ id, type: 'result', level });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
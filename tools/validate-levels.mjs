@@ -0,0 +1,88 @@
+// =============================================
+// AMAZEING - Level Pack Validator
+// =============================================
+//
+// Checks the pack manifest and every level pack in data/levels and reports
+// problems per level id.
+// Usage: node tools/validate-levels.mjs [--no-solve]
+//   --no-solve  skip the solver search for levels without a stored solution
+// Exits with status 1 if any level has errors.
+
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+import { LevelSchema, LevelSchemaError } from '../js/game/LevelSchema.js';
+import { LevelValidator } from '../js/game/LevelValidator.js';
+
+const levelsDir = fileURLToPath(new URL('../data/levels/', import.meta.url));
+const checkSolvable = !process.argv.includes('--no-solve');
+
+const files = (await readdir(levelsDir)).filter(file => file.endsWith('.json')).sort();
+let levelCount = 0;
+let errorCount = 0;
+
+// The manifest decides which packs the game loads
+const manifestIds = new Map();
+try {
+    const entries = LevelSchema.parseManifest(JSON.parse(await readFile(join(levelsDir, 'manifest.json'), 'utf8')));
+    entries.forEach(entry => manifestIds.set(entry.file, entry.id));
+    console.log(`manifest.json: ${entries.length} pack(s)`);
+
+    const missing = entries.filter(entry => !files.includes(entry.file));
+    missing.forEach(entry => console.log(`      error: pack ${entry.id}: ${entry.file} does not exist`));
+    errorCount += missing.length;
+} catch (error) {
+    console.log('manifest.json: cannot be used');
+    (error instanceof LevelSchemaError ? error.problems : [error.message])
+        .forEach(message => console.log(`      error: ${message}`));
+    errorCount++;
+}
+
+for (const file of files.filter(file => file !== 'manifest.json')) {
+    let pack;
+    try {
+        pack = JSON.parse(await readFile(join(levelsDir, file), 'utf8'));
+    } catch (error) {
+        console.log(`${file}: cannot be read: ${error.message}`);
+        errorCount++;
+        continue;
+    }
+
+    // Not every file is a pack (daily.json only describes the daily puzzle)
+    if (!Array.isArray(pack.levels)) {
+        console.log(`${file}: no levels, skipped`);
+        continue;
+    }
+
+    // Check the structure first, as the game does when it loads the pack
+    try {
+        pack = LevelSchema.parsePack(pack);
+    } catch (error) {
+        if (!(error instanceof LevelSchemaError)) throw error;
+
+        console.log(`${file}: does not match the pack schema`);
+        error.problems.forEach(message => console.log(`      error: ${message}`));
+        errorCount += error.problems.length;
+        continue;
+    }
+
+    if (!manifestIds.has(file)) {
+        console.log(`${file}: warning: not listed in manifest.json, so the game does not load it`);
+    } else if (manifestIds.get(file) !== pack.packId) {
+        console.log(`${file}: error: packId ${pack.packId} does not match the manifest id ${manifestIds.get(file)}`);
+        errorCount++;
+    }
+
+    console.log(`${file}: ${pack.levels.length} level(s)`);
+    for (const { id, errors, warnings } of LevelValidator.validatePack(pack, { checkSolvable })) {
+        levelCount++;
+        errorCount += errors.length;
+
+        console.log(`  ${errors.length > 0 ? '✗' : '✓'} ${id}`);
+        errors.forEach(message => console.log(`      error: ${message}`));
+        warnings.forEach(message => console.log(`      warning: ${message}`));
+    }
+}
+
+console.log(`\n${levelCount} level(s) checked, ${errorCount} error(s)`);
+process.exitCode = errorCount > 0 ? 1 : 0;